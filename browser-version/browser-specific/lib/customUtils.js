@@ -3,7 +3,8 @@
  */
 
 /**
- * Taken from the crypto-browserify module
+ * Use the Web Crypto API when the browser has it, Math.random() otherwise
+ * The fallback is taken from the crypto-browserify module
  * https://github.com/dominictarr/crypto-browserify
  * NOTE: Math.random() does not guarantee "cryptographic quality" but we actually don't need it
  */
@@ -11,6 +12,10 @@ function randomBytes (size) {
   var bytes = new Array(size);
   var r;
 
+  if (typeof window !== 'undefined' && window.crypto && typeof window.crypto.getRandomValues === 'function') {
+    return Array.prototype.slice.call(window.crypto.getRandomValues(new Uint8Array(size)));
+  }
+
   for (var i = 0, r; i < size; i++) {
     if ((i & 0x03) == 0) r = Math.random() * 0x100000000;
     bytes[i] = r >>> ((i & 0x03) << 3) & 0xff;
@@ -76,3 +81,4 @@ function uid (len) {
 
 
 module.exports.uid = uid;
+module.exports.randomBytes = randomBytes;
@@ -70,6 +70,18 @@ function unlink (filename, callback) {
 }
 
 
+// Directories don't exist on the browser, the files of a directory are the ones whose name starts with its path
+function readdir (dir, callback) {
+  var prefix = dir.charAt(dir.length - 1) === '/' ? dir : dir + '/';
+
+  localforage.keys(function (err, keys) {
+    if (err) { return callback(err); }
+    return callback(null, (keys || []).filter(function (key) { return key.indexOf(prefix) === 0 && key.indexOf('/', prefix.length) === -1; })
+                                      .map(function (key) { return key.slice(prefix.length); }));
+  });
+}
+
+
 // Nothing to do, no directories will be used on the browser
 function mkdirp (dir, callback) {
   return callback();
@@ -89,6 +101,7 @@ module.exports.writeFile = writeFile;
 module.exports.crashSafeWriteFile = writeFile;   // No need for a crash safe function in the browser
 module.exports.appendFile = appendFile;
 module.exports.readFile = readFile;
+module.exports.readdir = readdir;
 module.exports.unlink = unlink;
 module.exports.mkdirp = mkdirp;
 module.exports.ensureDatafileIntegrity = ensureDatafileIntegrity;
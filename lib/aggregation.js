@@ -0,0 +1,375 @@
+/**
+ * Aggregation pipeline, a subset of MongoDB's
+ * Stages: $match, $project, $group, $unwind, $sort, $skip, $limit, $count, and $lookup which only Datastore.aggregate can run
+ * Accumulators (in $group): $sum, $avg, $min, $max, $push, $addToSet, $first, $last
+ *
+ * Expressions, used in $project, $group and the accumulators, can be:
+ * * A field path, i.e. a string beginning with $ such as '$planet' or '$data.satellites'
+ * * An object or an array of expressions, e.g. { system: '$system', inhabited: '$inhabited' }
+ * * { $literal: value } to use a value without interpreting it
+ * * Any other value, which is used as is
+ */
+
+var model = require('./model')
+  , util = require('util')
+  , _ = require('underscore')
+  , stages = {}
+  , accumulators = {}
+  ;
+
+
+/**
+ * Evaluate an expression against a document
+ */
+function evaluate (doc, expr) {
+  var res;
+
+  if (typeof expr === 'string' && expr[0] === '$') { return model.getDotValue(doc, expr.slice(1)); }
+
+  if (util.isArray(expr)) {
+    return _.map(expr, function (e) { return evaluate(doc, e); });
+  }
+
+  if (typeof expr === 'object' && expr !== null && !util.isDate(expr) && !(expr instanceof RegExp)) {
+    if (expr.hasOwnProperty('$literal')) { return expr.$literal; }
+
+    res = {};
+    Object.keys(expr).forEach(function (k) {
+      if (k[0] === '$') { throw new Error("Unknown expression operator " + k); }
+      res[k] = evaluate(doc, expr[k]);
+    });
+    return res;
+  }
+
+  return expr;
+}
+
+
+/**
+ * Set a value in an object using the dot notation, creating the subdocuments if needed
+ */
+function setDotValue (obj, field, value) {
+  var fieldParts = field.split('.')
+    , i;
+
+  for (i = 0; i < fieldParts.length - 1; i += 1) {
+    if (typeof obj[fieldParts[i]] !== 'object' || obj[fieldParts[i]] === null) { obj[fieldParts[i]] = {}; }
+    obj = obj[fieldParts[i]];
+  }
+
+  if (value === undefined) {
+    delete obj[fieldParts[fieldParts.length - 1]];
+  } else {
+    obj[fieldParts[fieldParts.length - 1]] = value;
+  }
+}
+
+
+/**
+ * Get a field path from a stage argument, which must be a string beginning with $
+ */
+function getFieldPath (stage, path) {
+  if (typeof path !== 'string' || path[0] !== '$') { throw new Error(stage + " expects a field path beginning with $"); }
+  return path.slice(1);
+}
+
+
+// ==============================================================
+// Stages
+// Each one takes the array of documents and the argument of the stage,
+// and returns the new array of documents
+// ==============================================================
+
+stages.$match = function (docs, query) {
+  return _.filter(docs, function (doc) { return model.match(doc, query); });
+};
+
+
+/**
+ * Fields set to 1 or true are kept, fields set to 0 or false are removed, other fields are computed
+ * from an expression. As in find projections, you can't both keep and remove fields, except for _id
+ * which is kept unless explicitly removed
+ */
+stages.$project = function (docs, projection) {
+  var keys = _.without(Object.keys(projection), '_id')
+    , omitKeys = _.filter(keys, function (k) { return projection[k] === 0 || projection[k] === false; })
+    , idExpr = projection._id
+    ;
+
+  if (omitKeys.length > 0 && omitKeys.length !== keys.length) { throw new Error("Can't both keep and omit fields except for _id in $project"); }
+
+  return _.map(docs, function (doc) {
+    var res = {};
+
+    if (idExpr === undefined || idExpr === 1 || idExpr === true) {
+      if (doc._id !== undefined) { res._id = doc._id; }
+    } else if (idExpr !== 0 && idExpr !== false) {
+      setDotValue(res, '_id', evaluate(doc, idExpr));
+    }
+
+    if (omitKeys.length > 0) {
+      Object.keys(doc).forEach(function (k) { if (k !== '_id') { res[k] = model.deepCopy(doc[k]); } });
+      omitKeys.forEach(function (k) { setDotValue(res, k, undefined); });
+    } else {
+      keys.forEach(function (k) {
+        setDotValue(res, k, projection[k] === 1 || projection[k] === true ? model.getDotValue(doc, k) : evaluate(doc, projection[k]));
+      });
+    }
+
+    return res;
+  });
+};
+
+
+/**
+ * _id is the expression documents are grouped by (null to group all documents together), all other fields
+ * must be accumulators. Groups are returned in the order in which they were first encountered
+ */
+stages.$group = function (docs, group, options) {
+  var groups = []
+    , groupsByKey = {}
+    , fields = _.without(Object.keys(group), '_id')
+    ;
+
+  if (!group.hasOwnProperty('_id')) { throw new Error("$group needs an _id"); }
+
+  fields.forEach(function (f) {
+    var keys = typeof group[f] === 'object' && group[f] !== null ? Object.keys(group[f]) : [];
+    if (keys.length !== 1 || !accumulators[keys[0]]) { throw new Error("The field " + f + " of $group must be an accumulator"); }
+  });
+
+  docs.forEach(function (doc) {
+    var _id = evaluate(doc, group._id)
+      , key
+      ;
+
+    if (_id === undefined) { _id = null; }
+    key = model.serialize({ _id: _id });
+
+    if (!groupsByKey[key]) {
+      groupsByKey[key] = { _id: _id, docs: [] };
+      groups.push(groupsByKey[key]);
+    }
+    groupsByKey[key].docs.push(doc);
+  });
+
+  return _.map(groups, function (g) {
+    var res = { _id: g._id };
+
+    fields.forEach(function (f) {
+      var accumulator = Object.keys(group[f])[0]
+        , values = _.map(g.docs, function (doc) { return evaluate(doc, group[f][accumulator]); })
+        , value = accumulators[accumulator](values, options)
+        ;
+
+      if (value !== undefined) { res[f] = value; }
+    });
+
+    return res;
+  });
+};
+
+
+/**
+ * Output one document per element of the array field
+ * @param {String or Object} unwind Either the field path, or { path, preserveNullAndEmptyArrays }
+ *                                  If preserveNullAndEmptyArrays is true, documents where the field is missing, null or an empty array are kept
+ */
+stages.$unwind = function (docs, unwind) {
+  var path = getFieldPath('$unwind', typeof unwind === 'string' ? unwind : unwind.path)
+    , preserve = typeof unwind === 'object' && unwind.preserveNullAndEmptyArrays
+    , res = []
+    ;
+
+  docs.forEach(function (doc) {
+    var value = model.getDotValue(doc, path);
+
+    if (util.isArray(value) && value.length > 0) {
+      value.forEach(function (v) {
+        var newDoc = model.deepCopy(doc);
+        setDotValue(newDoc, path, model.deepCopy(v));
+        res.push(newDoc);
+      });
+    } else if (value !== undefined && value !== null && !util.isArray(value)) {
+      res.push(doc);   // Same as MongoDB, a non array value is treated as a one element array
+    } else if (preserve) {
+      res.push(doc);
+    }
+  });
+
+  return res;
+};
+
+
+/**
+ * Same sort query as cursors, using the same comparison
+ */
+stages.$sort = function (docs, sortQuery, options) {
+  var criteria = _.map(Object.keys(sortQuery), function (key) { return { key: key, direction: sortQuery[key] }; });
+
+  // Array.prototype.sort is not guaranteed to be stable, so we break ties with the initial position
+  return _.map(_.map(docs, function (doc, i) { return { doc: doc, i: i }; }).sort(function (a, b) {
+    var compare, i;
+    for (i = 0; i < criteria.length; i += 1) {
+      compare = criteria[i].direction * model.compareThings(model.getDotValue(a.doc, criteria[i].key), model.getDotValue(b.doc, criteria[i].key), options.compareStrings);
+      if (compare !== 0) { return compare; }
+    }
+    return a.i - b.i;
+  }), function (e) { return e.doc; });
+};
+
+
+stages.$skip = function (docs, skip) {
+  if (typeof skip !== 'number' || skip < 0) { throw new Error("$skip expects a positive number"); }
+  return docs.slice(skip);
+};
+
+
+stages.$limit = function (docs, limit) {
+  if (typeof limit !== 'number' || limit <= 0) { throw new Error("$limit expects a strictly positive number"); }
+  return docs.slice(0, limit);
+};
+
+
+/**
+ * Replace all documents by one document containing their number, in the given field
+ * As MongoDB does, no document is returned if there are no documents to count
+ */
+stages.$count = function (docs, field) {
+  var res = {};
+
+  if (typeof field !== 'string' || field.length === 0 || field[0] === '$' || field.indexOf('.') !== -1) { throw new Error("$count expects a field name"); }
+  if (docs.length === 0) { return []; }
+
+  res[field] = docs.length;
+  return [res];
+};
+
+
+/**
+ * $lookup queries another datastore so aggregate, which is synchronous, can't run it. Datastore.aggregate runs the parts
+ * of the pipeline between the $lookup stages with aggregate, and resolves the references of each $lookup with lib/references.js
+ * Its argument is { from, localField, foreignField, as }: the field as is set to the array of the documents of the datastore
+ * from whose foreignField matches localField (or one of its elements if it is an array)
+ */
+function isLookup (stage) {
+  return typeof stage === 'object' && stage !== null && Object.keys(stage).length === 1 && stage.hasOwnProperty('$lookup');
+}
+
+function checkLookup (lookup) {
+  if (typeof lookup !== 'object' || lookup === null) { throw new Error("$lookup expects an object"); }
+  if (!lookup.from || typeof lookup.from.find !== 'function') { throw new Error("$lookup expects from to be a datastore"); }
+  ['localField', 'foreignField', 'as'].forEach(function (k) {
+    if (typeof lookup[k] !== 'string' || lookup[k].length === 0 || lookup[k][0] === '$') { throw new Error("$lookup expects " + k + " to be a field name"); }
+  });
+}
+
+/**
+ * Set the looked up documents, the docs are modified so they must be copies
+ * @param {Function} getReferenced As given by references.resolve
+ */
+function lookup (docs, lookup, getReferenced) {
+  docs.forEach(function (doc) { setDotValue(doc, lookup.as, getReferenced(doc)); });
+  return docs;
+}
+
+
+// ==============================================================
+// Accumulators
+// Each one takes the values of its expression for all the documents of
+// the group, and returns the value of the field (undefined to omit it)
+// ==============================================================
+
+/**
+ * Non numerical values are ignored, so { $sum: '$field' } sums the field and { $sum: 1 } counts the documents
+ */
+accumulators.$sum = function (values) {
+  var res = 0;
+  values.forEach(function (v) { if (typeof v === 'number') { res += v; } });
+  return res;
+};
+
+/**
+ * Average of the numerical values, null if there is none
+ */
+accumulators.$avg = function (values) {
+  var numbers = _.filter(values, function (v) { return typeof v === 'number'; });
+  if (numbers.length === 0) { return null; }
+  return accumulators.$sum(numbers) / numbers.length;
+};
+
+accumulators.$min = function (values, options) {
+  var res;
+  values.forEach(function (v) {
+    if (v === undefined || v === null) { return; }
+    if (res === undefined || model.compareThings(v, res, options.compareStrings) < 0) { res = v; }
+  });
+  return res === undefined ? null : res;
+};
+
+accumulators.$max = function (values, options) {
+  var res;
+  values.forEach(function (v) {
+    if (v === undefined || v === null) { return; }
+    if (res === undefined || model.compareThings(v, res, options.compareStrings) > 0) { res = v; }
+  });
+  return res === undefined ? null : res;
+};
+
+accumulators.$push = function (values) {
+  return _.filter(values, function (v) { return v !== undefined; });
+};
+
+accumulators.$addToSet = function (values) {
+  var res = [];
+  values.forEach(function (v) {
+    if (v === undefined) { return; }
+    if (!_.any(res, function (r) { return model.areThingsEqual(r, v); })) { res.push(v); }
+  });
+  return res;
+};
+
+accumulators.$first = function (values) {
+  return values[0];
+};
+
+accumulators.$last = function (values) {
+  return values[values.length - 1];
+};
+
+
+/**
+ * Run a pipeline on an array of documents
+ * @param {Array of documents} docs Will not be modified
+ * @param {Array} pipeline Array of stages, each one an object with exactly one key, the name of the stage, e.g. { $limit: 5 }
+ * @param {Function} options.compareStrings Optional, string comparison function used by $sort, $min and $max
+ * @return {Array of documents}
+ * Throws if the pipeline is invalid
+ */
+function aggregate (docs, pipeline, options) {
+  var res = model.deepCopy(docs);
+
+  options = options || {};
+  if (!util.isArray(pipeline)) { throw new Error("The aggregation pipeline must be an array of stages"); }
+
+  pipeline.forEach(function (stage) {
+    var keys = typeof stage === 'object' && stage !== null ? Object.keys(stage) : [];
+
+    if (keys.length !== 1) { throw new Error("Each stage of the aggregation pipeline must be an object with exactly one field"); }
+    if (keys[0] === '$lookup') { throw new Error("$lookup can only be run by Datastore.aggregate"); }
+    if (!stages[keys[0]]) { throw new Error("Unknown aggregation stage " + keys[0]); }
+
+    res = stages[keys[0]](res, stage[keys[0]], options);
+  });
+
+  return res;
+}
+
+
+
+// Interface
+module.exports.aggregate = aggregate;
+module.exports.evaluate = evaluate;
+module.exports.isLookup = isLookup;
+module.exports.checkLookup = checkLookup;
+module.exports.lookup = lookup;
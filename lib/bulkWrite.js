@@ -0,0 +1,149 @@
+/**
+ * Bulk writes: several inserts, updates and removals applied in one executor task and persisted with one append
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var async = require('async')
+  , _ = require('underscore')
+  ;
+
+
+/**
+ * Apply one operation of a bulkWrite to the cached database, without persisting it
+ * @param {Object} operation One of { insertOne: { document } }, { updateOne: { filter, update, upsert, ifVersion } }, { updateMany: { filter, update, upsert, ifVersion } },
+ *                           { replaceOne: { filter, replacement, upsert, ifVersion } }, { deleteOne: { filter } } or { deleteMany: { filter } }
+ * @param {Function} callback Signature: err, result, toPersist, changes, postHooks
+ *                            result is the same as what the corresponding function returns (for insertOne it is { insertedId })
+ *                            toPersist, changes and postHooks are the same as in the results of _updateInCache
+ *
+ * @api private
+ */
+function _applyBulkOperationInCache (operation, callback) {
+  var self = this
+    , type = Object.keys(operation || {})[0]
+    , args = type && operation[type] || {}
+    , multi = type === 'updateMany' || type === 'deleteMany'
+    ;
+
+  switch (type) {
+    case 'insertOne':
+      return this._prepareDocumentWithHooks(args.document, function (err, preparedDoc) {
+        if (err) { return callback(err); }
+        try {
+          self._insertInCache(preparedDoc);
+        } catch (e) {
+          return callback(e);
+        }
+        return callback(null, { insertedId: preparedDoc._id }, [preparedDoc], [{ type: 'insert', doc: preparedDoc }], self._insertPostHooks([preparedDoc]));
+      });
+
+    case 'updateOne':
+    case 'updateMany':
+    case 'replaceOne':
+      return this._updateInCacheWithResult(args.filter || {}, type === 'replaceOne' ? args.replacement : args.update, args, multi, type === 'replaceOne', function (err, res, result) {
+        if (err) { return callback(err); }
+        return callback(null, res, result.toPersist, result.changes, result.postHooks);
+      });
+
+    case 'deleteOne':
+    case 'deleteMany':
+      return this._removeFromCache(args.filter || {}, { multi: multi }, function (err, result) {
+        if (err) { return callback(err); }
+        return callback(null, { deletedCount: result.removedDocs.length }, result.toPersist, result.changes, result.postHooks);
+      });
+
+    default:
+      return callback(new Error("Unknown bulkWrite operation " + type));
+  }
+}
+
+
+/**
+ * Apply several write operations in one executor task and persist them with one append to the datafile
+ * @param {Array} operations See _applyBulkOperationInCache for the format of each operation
+ * @param {Object} options Optional options
+ *                 options.ordered Defaults to true. If true, operations are applied in order and the first failing one stops the bulk write.
+ *                                 If false, failing operations are skipped and the following ones are still applied
+ * @param {Function} cb Optional callback, signature: err, result
+ *                      result.insertedCount, result.matchedCount, result.modifiedCount, result.deletedCount, result.upsertedCount Totals over all operations
+ *                      result.insertedIds, result.upsertedIds Maps from the index of an operation to the _id it inserted or upserted
+ *                      result.results Array containing the result of each operation, null if it failed or wasn't applied
+ *                      result.writeErrors Array of { index, error, operation }, one per failed operation
+ *                      If some operations failed, err is a 'bulkWriteFailed' error with writeErrors and result fields. The operations which
+ *                      didn't fail were still applied and persisted
+ *
+ * @api private Use Datastore.bulkWrite which has the same signature
+ */
+function _bulkWrite (operations, options, cb) {
+  var callback
+    , self = this
+    , ordered
+    , toPersist = []
+    , changes = []
+    , postHooks = []
+    , result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0
+               , insertedIds: {}, upsertedIds: {}, results: [], writeErrors: [] }
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+  options = options || {};
+  ordered = options.ordered !== undefined ? options.ordered : true;
+  operations = operations || [];
+
+  operations.forEach(function () { result.results.push(null); });
+
+  async.eachSeries(_.range(operations.length), function (i, cb) {
+    self._applyBulkOperationInCache(operations[i], function (err, res, docs, opChanges, opPostHooks) {
+      if (err) {
+        result.writeErrors.push({ index: i, error: err, operation: operations[i] });
+        return ordered ? cb(err) : async.setImmediate(cb);
+      }
+
+      result.results[i] = res;
+      toPersist = toPersist.concat(docs);
+      changes = changes.concat(opChanges);
+      postHooks = postHooks.concat(opPostHooks);
+      if (res.insertedId !== undefined) { result.insertedCount += 1; result.insertedIds[i] = res.insertedId; }
+      if (res.matchedCount !== undefined) {
+        result.matchedCount += res.matchedCount;
+        result.modifiedCount += res.modifiedCount;
+        result.upsertedCount += res.upsertedCount;
+        if (res.upsertedId !== null) { result.upsertedIds[i] = res.upsertedId; }
+      }
+      if (res.deletedCount !== undefined) { result.deletedCount += res.deletedCount; }
+      return async.setImmediate(cb);   // Some operations are synchronous, don't let the stack grow with the number of operations
+    });
+  }, function () {
+    self.persistence.persistNewState(toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(changes);
+      self._queueOnDelete(changes);
+
+      self._runPostHooks(postHooks, function (err) {
+        if (err) { return callback(err); }
+
+        if (result.writeErrors.length > 0) {
+          err = new Error("bulkWrite failed for " + result.writeErrors.length + " operation(s), first error: " + result.writeErrors[0].error.message);
+          err.errorType = 'bulkWriteFailed';
+          err.writeErrors = result.writeErrors;
+          err.result = result;
+          return callback(err, result);
+        }
+
+        return callback(null, result);
+      });
+    });
+  });
+}
+
+function bulkWrite () {
+  return this.executor.pushWithPromise({ this: this, fn: this._bulkWrite, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports._applyBulkOperationInCache = _applyBulkOperationInCache;
+module.exports._bulkWrite = _bulkWrite;
+module.exports.bulkWrite = bulkWrite;
@@ -0,0 +1,141 @@
+/**
+ * Change streams, returned by Datastore.watch
+ *
+ * Every write applied to a datastore is one change, identified by a token: an integer which is incremented by one
+ * with each change. Each line appended to the datafile by persistNewState is exactly one change, and every compaction
+ * writes the token of the last change ($$changeToken line), so tokens can be recomputed from the datafile when it is loaded
+ */
+
+var model = require('./model')
+  , util = require('util')
+  , async = require('async')
+  , _ = require('underscore')
+  , EventEmitter = require('events').EventEmitter
+  ;
+
+
+/**
+ * Describe what changed in the top-level fields of a document
+ * @return {Object} { updatedFields, removedFields } where updatedFields contains the new values of the fields that were added or modified
+ *                  and removedFields is the array of the names of the fields that were removed
+ */
+function getUpdateDescription (oldDoc, newDoc) {
+  var res = { updatedFields: {}, removedFields: [] };
+
+  Object.keys(newDoc).forEach(function (k) {
+    if (!oldDoc.hasOwnProperty(k) || !model.areThingsEqual(oldDoc[k], newDoc[k])) { res.updatedFields[k] = newDoc[k]; }
+  });
+  Object.keys(oldDoc).forEach(function (k) {
+    if (!newDoc.hasOwnProperty(k)) { res.removedFields.push(k); }
+  });
+
+  return res;
+}
+
+
+/**
+ * Create the change record describing a change
+ * @param {Number} token
+ * @param {String} type One of 'insert', 'update', 'remove' and 'expire', expirations being deletions like removals
+ * @param {Document} doc The new document, or the deleted document
+ * @param {Document} oldDoc Only for updates, the previous version of the document
+ * @return {Object} { token, operationType, documentKey, fullDocument, updateDescription } with operationType one of 'insert', 'update' and 'delete'
+ *                  There is no fullDocument for deletions, and updateDescription is only given for updates
+ * Documents are not copied, but the datastore never modifies them in place
+ */
+function createChangeRecord (token, type, doc, oldDoc) {
+  var record = { token: token, documentKey: { _id: doc._id } };
+
+  switch (type) {
+    case 'insert':
+      record.operationType = 'insert';
+      record.fullDocument = doc;
+      break;
+    case 'update':
+      record.operationType = 'update';
+      record.fullDocument = doc;
+      record.updateDescription = getUpdateDescription(oldDoc, doc);
+      break;
+    default:
+      record.operationType = 'delete';
+      break;
+  }
+
+  return record;
+}
+
+
+/**
+ * Create a new change stream
+ * Don't use directly, use Datastore.watch
+ * @param {Datastore} db
+ * @param {Query} filter Only change records matching it are emitted, e.g. { operationType: 'insert', 'fullDocument.planet': 'Mars' }
+ *
+ * Event Emitter - Events
+ * * change - Fired for each change record, signature: record
+ * * error - Fired if the stream can't be started or its filter is invalid, the stream is then closed
+ * * close - Fired once the stream is closed
+ */
+function ChangeStream (db, filter) {
+  EventEmitter.call(this);
+
+  this.db = db;
+  this.filter = filter || {};
+  this.resumeToken = null;   // Token of the last change emitted
+  this.closed = false;
+}
+
+util.inherits(ChangeStream, EventEmitter);
+
+
+/**
+ * Emit a change record if it matches the filter
+ */
+ChangeStream.prototype._push = function (record) {
+  if (this.closed) { return; }
+
+  try {
+    if (!model.match(record, this.filter)) { return; }
+  } catch (e) {
+    return this._fail(e);
+  }
+
+  this.resumeToken = record.token;
+
+  try {
+    this.emit('change', model.deepCopy(record));
+  } catch (e) {
+    // Same as a throw in a callback, this mustn't prevent the executor from running the next tasks
+    async.setImmediate(function () { throw e; });
+  }
+};
+
+
+/**
+ * Close the stream and signal the error, asynchronously so that we never throw inside the executor
+ * even if there is no error listener
+ */
+ChangeStream.prototype._fail = function (err) {
+  var self = this;
+
+  this.close();
+  async.setImmediate(function () { self.emit('error', err); });
+};
+
+
+/**
+ * Stop receiving changes
+ */
+ChangeStream.prototype.close = function () {
+  if (this.closed) { return; }
+
+  this.closed = true;
+  this.db.changeStreams = _.without(this.db.changeStreams, this);
+  this.emit('close');
+};
+
+
+
+// Interface
+module.exports = ChangeStream;
+module.exports.createChangeRecord = createChangeRecord;
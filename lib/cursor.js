@@ -2,7 +2,12 @@
  * Manage access to data, be it to find, update or remove it
  */
 var model = require('./model')
+  , async = require('async')
   , _ = require('underscore')
+  , util = require('util')
+  , LiveQuery = require('./liveQuery')
+  , Executor = require('./executor')
+  , references = require('./references')
   ;
 
 
@@ -59,6 +64,34 @@ Cursor.prototype.projection = function(projection) {
 };
 
 
+/**
+ * With the softDelete option of the datastore, also return the soft deleted documents
+ */
+Cursor.prototype.withDeleted = function () {
+  this._withDeleted = true;
+  return this;
+};
+
+
+/**
+ * Replace the references of the results by the documents of another datastore they reference, see lib/references.js
+ * All the references are resolved with one query on the other datastore, once the results are found. Can be called several times
+ * @param {String} field - Field containing the references, can use the dot-notation
+ * @param {Datastore} db - Datastore containing the referenced documents
+ * @param {Object} options - Optional
+ *                 options.as - Field in which the referenced documents are put, defaults to field. If field is an array, it gets
+ *                              the array of the referenced documents, otherwise the referenced document or null
+ *                 options.foreignField - Field of the referenced documents which the references match, defaults to _id
+ *                 options.projection - MongoDB-style projection of the referenced documents
+ */
+Cursor.prototype.populate = function (field, db, options) {
+  options = options || {};
+  this._populate = (this._populate || []).concat([{ field: field, db: db, as: options.as || field
+                                                 , foreignField: options.foreignField || '_id', projection: options.projection }]);
+  return this;
+};
+
+
 /**
  * Apply the projection
  */
@@ -116,9 +149,27 @@ Cursor.prototype.project = function (candidates) {
  * @param {Function} callback - Signature: err, results
  */
 Cursor.prototype._exec = function(_callback) {
-  var res = [], added = 0, skipped = 0, self = this
-    , error = null
-    , i, keys, key
+  var self = this;
+
+  this._getResults(function (error, res) {
+    if (self.execFn) {
+      return self.execFn(error, res, _callback);
+    } else {
+      return _callback(error, res);
+    }
+  });
+};
+
+
+/**
+ * Same as _exec, around which the find hooks are run: the pre hooks can modify context.query, which becomes the query
+ * of the cursor, and the post hooks can modify or replace context.docs, copies of the results
+ *
+ * @param {Function} callback - Signature: err, results
+ */
+Cursor.prototype._execWithHooks = function(_callback) {
+  var self = this
+    , context = { query: this.query }
     ;
 
   function callback (error, res) {
@@ -129,12 +180,40 @@ Cursor.prototype._exec = function(_callback) {
     }
   }
 
+  this.db._runHooks('pre', 'find', context, function (err) {
+    if (err) { return callback(err); }
+
+    self.query = context.query;
+    self._getResults(function (err, res) {
+      if (err || self.db.hooks.post.find.length === 0) { return callback(err, res); }
+
+      context.docs = model.deepCopy(res);
+      self.db._runHooks('post', 'find', context, function (err) {
+        if (err) { return callback(err); }
+        return callback(null, context.docs);
+      });
+    });
+  });
+};
+
+
+/**
+ * Get all matching elements, without calling execFn
+ *
+ * @param {Function} callback - Signature: err, results
+ */
+Cursor.prototype._getResults = function(callback) {
+  var res = [], added = 0, skipped = 0, self = this
+    , error = null
+    , i, keys, key
+    ;
+
   this.db.getCandidates(this.query, function (err, candidates) {
     if (err) { return callback(err); }
 
     try {
       for (i = 0; i < candidates.length; i += 1) {
-        if (model.match(candidates[i], self.query)) {
+        if (model.match(candidates[i], self.query) && (self._withDeleted || !self.db.isSoftDeleted(candidates[i]))) {
           // If a sort is defined, wait for the results to be sorted before applying limit and skip
           if (!self._sort) {
             if (self._skip && self._skip > skipped) {
@@ -194,8 +273,95 @@ Cursor.prototype._exec = function(_callback) {
   });
 };
 
-Cursor.prototype.exec = function () {
-  this.db.executor.push({ this: this, fn: this._exec, arguments: arguments });
+/**
+ * Get all matching elements through the executor, running the find hooks
+ * @param {Function} callback - Optional, signature: err, results. If not given, a Promise is returned
+ */
+Cursor.prototype.exec = function (callback) {
+  var self = this;
+
+  if (!this._populate) { return this.db.executor.pushWithPromise({ this: this, fn: this._execWithHooks, arguments: arguments }); }
+  if (typeof callback !== 'function') { return Executor.promisify(this.exec, this, []); }
+
+  // References are resolved once the task is done, the executor doesn't wait for the other datastores
+  this.db.executor.push({ this: this, fn: this._execWithHooks, arguments: [function (err, res) {
+    if (err) { return callback(err); }
+    self._populateResults(res, callback);
+  }] });
+};
+
+
+/**
+ * Populate the results of find or findOne, one populate after the other. Results which are not documents, such as counts, are left as is
+ * @param {Array or Document} res - Copies of the results, which are not modified
+ * @param {Function} callback - Signature: err, populatedResults
+ */
+Cursor.prototype._populateResults = function (res, callback) {
+  var docs = util.isArray(res) ? res : (res && typeof res === 'object' ? [res] : []);
+
+  async.reduce(this._populate, docs, function (docs, populate, cb) {
+    references.resolve(docs, populate.field, populate.db, populate.foreignField, function (err, getReferenced) {
+      var populatedDocs;
+
+      if (err) { return cb(err); }
+
+      try {
+        populatedDocs = docs.map(function (doc) {
+          var referenced = new Cursor(populate.db, {}).projection(populate.projection).project(getReferenced(doc))
+            , modifier = { $set: {} }
+            ;
+
+          modifier.$set[populate.as] = util.isArray(model.getDotValue(doc, populate.field)) ? referenced : (referenced[0] || null);
+          return model.modify(doc, modifier);
+        });
+      } catch (e) {
+        return cb(e);
+      }
+
+      return cb(null, populatedDocs);
+    });
+  }, function (err, populatedDocs) {
+    if (err) { return callback(err); }
+    if (util.isArray(res)) { return callback(null, populatedDocs); }
+    return callback(null, populatedDocs.length === 1 ? populatedDocs[0] : res);
+  });
+};
+
+
+/**
+ * Keep the results of the cursor up to date: the callbacks are called with the initial results, then
+ * whenever a write changes the documents matching the query, sort, skip and limit
+ * @param {Object} callbacks All optional, documents are projected copies and indexes are positions in the results
+ *                 callbacks.added Signature: doc, atIndex
+ *                 callbacks.changed Signature: newDoc, oldDoc, atIndex
+ *                 callbacks.removed Signature: oldDoc, atIndex
+ *                 callbacks.movedTo Signature: doc, fromIndex, toIndex. Called after changed if the change moved the document
+ * @param {Function} cb Optional, signature: err, called once the initial results were given to added. Without it, an error is thrown
+ * @return {Object} Handle, call its stop method to stop observing
+ */
+Cursor.prototype.observe = function (callbacks, cb) {
+  var db = this.db
+    , projection = this._projection
+    , liveQuery = new LiveQuery(db, { query: this.query, sort: this._sort, skip: this._skip, limit: this._limit, withDeleted: this._withDeleted
+                                     , project: function (doc) { return new Cursor(db, {}).projection(projection).project([doc])[0]; }
+                                     }, callbacks)
+    , callback = cb || function (err) { if (err) { async.setImmediate(function () { throw err; }); } }
+    ;
+
+  this.db.executor.push({ this: liveQuery, fn: liveQuery._start, arguments: [callback] });
+  return { stop: function () { liveQuery.stop(); } };
+};
+
+
+/**
+ * Make cursors thenable so that they can be awaited directly, e.g. await db.find({}).sort({ a: 1 })
+ */
+Cursor.prototype.then = function (onFulfilled, onRejected) {
+  return this.exec().then(onFulfilled, onRejected);
+};
+
+Cursor.prototype.catch = function (onRejected) {
+  return this.then(null, onRejected);
 };
 
 
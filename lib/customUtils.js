@@ -17,6 +17,15 @@ function uid (len) {
 }
 
 
+/**
+ * Return len random bytes, as an array-like of integers between 0 and 255
+ */
+function randomBytes (len) {
+  return crypto.randomBytes(len);
+}
+
+
 // Interface
 module.exports.uid = uid;
+module.exports.randomBytes = randomBytes;
 
@@ -0,0 +1,535 @@
+/**
+ * A database is a directory containing the datafiles of named collections, each one a Datastore
+ * Collections are only loaded when they are first used, and share the persistence settings of the database
+ *
+ * Transactions on several collections write the lines they append to each datafile to a journal file first.
+ * Once the journal is written the transaction is committed: if the process crashes before all the appends are done,
+ * the journal is replayed before the first collection is loaded, appending the lines to the datafiles which don't have them
+ */
+
+var path = require('path')
+  , util = require('util')
+  , _ = require('underscore')
+  , async = require('async')
+  , model = require('./model')
+  , customUtils = require('./customUtils')
+  , Executor = require('./executor')
+  , Persistence = require('./persistence')
+  , Transaction = require('./transaction')
+  , storage = require('./storage')
+  , extension = '.db'
+  , journalName = 'transactions.journal'
+  , appendRetryDelay = 50   // Doubled after each failed attempt to complete the appends of a committed transaction
+  , maxAppendRetries = 5
+  ;
+
+
+/**
+ * Create a new database
+ * @param {String} options.directory Directory containing the datafiles, one per collection. It is created if needed
+ * @param {Function} options.afterSerialization/options.beforeDeserialization Optional, serialization hooks used by all collections
+ * @param {Number} options.corruptAlertThreshold Optional, same as the option of Datastore, for all collections
+ * @param {Number} options.autocompactionInterval Optional, if set all collections are compacted every interval ms
+ *                                                (see Persistence.setAutocompactionInterval)
+ */
+function Database (options) {
+  if (!options || typeof options.directory !== 'string' || options.directory.length === 0) {
+    throw new Error("A database needs a directory");
+  }
+
+  this.directory = options.directory;
+  this.settings = _.pick(options, 'afterSerialization', 'beforeDeserialization', 'corruptAlertThreshold');
+  this.autocompactionInterval = options.autocompactionInterval;
+  this.collections = {};
+  this.journalReplayed = false;
+
+  // Operations on the collections themselves (loading, listing, dropping and renaming) are run one by one
+  this.executor = new Executor();
+  this.executor.ready = true;
+}
+
+
+/**
+ * Check that a collection name can be used as a filename
+ */
+function checkName (name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_\-][A-Za-z0-9_.\-]*$/.test(name)) {
+    throw new Error("Invalid collection name " + name + ", it can only contain letters, digits, _, - and . and can't start with a .");
+  }
+}
+
+
+/**
+ * Same as storage.ensureFileDoesntExist, which the browser version of storage doesn't have
+ */
+function removeFile (filename, callback) {
+  storage.exists(filename, function (exists) {
+    if (!exists) { return callback(null); }
+    storage.unlink(filename, function (err) { return callback(err || null); });
+  });
+}
+
+
+Database.prototype.getFilename = function (name) {
+  return path.join(this.directory, name + extension);
+};
+
+Database.prototype.getJournalFilename = function () {
+  return path.join(this.directory, journalName);
+};
+
+
+/**
+ * Get a collection, which is created and loaded the first time it is asked for
+ * Its operations can be called right away, they are run once it is loaded
+ * @param {String} name
+ * @param {Object} options Optional, options of the Datastore (except filename and the settings of the database), only used when
+ *                         the collection is created. options.onload is called once it is loaded, if not a loading error is thrown
+ * @return {Datastore}
+ */
+Database.prototype.collection = function (name, options) {
+  var Datastore = require('./datastore')   // Not required with the others since it requires this module to export it
+    , db
+    , onload = options && options.onload || function (err) { if (err) { throw err; } }
+    ;
+
+  checkName(name);
+  if (this.collections[name]) { return this.collections[name]; }
+
+  db = new Datastore(_.extend({}, _.omit(options || {}, 'filename', 'inMemoryOnly', 'autoload', 'onload', 'afterSerialization', 'beforeDeserialization', 'corruptAlertThreshold'), this.settings, { filename: this.getFilename(name) }));
+  if (this.autocompactionInterval) { db.persistence.setAutocompactionInterval(this.autocompactionInterval); }
+  this.collections[name] = db;
+  this.executor.push({ this: this, fn: this._loadCollection, arguments: [db, onload] });
+
+  return db;
+};
+
+
+/**
+ * Load a collection, after replaying the journal if needed
+ * @param {Datastore} db
+ * @param {Function} cb Signature: err
+ *
+ * @api private Use Database.collection
+ */
+Database.prototype._loadCollection = function (db, cb) {
+  this._replayJournal(function (err) {
+    if (err) { return cb(err); }
+    db.loadDatabase(cb);
+  });
+};
+
+
+/**
+ * If the last transaction on several collections was committed but not all its appends were done, do them
+ * This is done once, before the first collection is loaded
+ * @param {Function} callback Signature: err
+ *
+ * @api private
+ */
+Database.prototype._replayJournal = function (callback) {
+  var self = this
+    , filename = this.getJournalFilename()
+    ;
+
+  if (this.journalReplayed) { return callback(null); }
+
+  storage.exists(filename, function (exists) {
+    // Without the journal, the transaction wasn't committed even if the temporary file of its journal was written
+    if (!exists) {
+      return removeFile(filename + '~', function (err) {
+        if (err) { return callback(err); }
+        self.journalReplayed = true;
+        return callback(null);
+      });
+    }
+
+    storage.readFile(filename, 'utf8', function (err, rawData) {
+      var journal;
+
+      if (err) { return callback(err); }
+
+      try {
+        journal = model.deserialize(rawData);
+      } catch (e) {
+        journal = { entries: [] };   // The journal is renamed once fully written so this shouldn't happen, but it means nothing was appended
+      }
+
+      async.eachSeries(journal.entries, function (entry, cb) {
+        self._replayJournalEntry(journal.transactionId, entry, cb);
+      }, function (err) {
+        if (err) { return callback(err); }
+
+        removeFile(filename, function (err) {
+          if (err) { return callback(err); }
+          self.journalReplayed = true;
+          return callback(null);
+        });
+      });
+    });
+  });
+};
+
+
+/**
+ * Append the lines of a journal entry to the datafile of its collection, unless the datafile already has the commit line of the transaction
+ * @param {String} transactionId
+ * @param {Object} entry { name, data } where data are the lines to append
+ * @param {Function} callback Signature: err
+ *
+ * @api private
+ */
+Database.prototype._replayJournalEntry = function (transactionId, entry, callback) {
+  var filename = this.getFilename(entry.name)
+    , beforeDeserialization = this.settings.beforeDeserialization || function (s) { return s; }
+    ;
+
+  storage.ensureDatafileIntegrity(filename, function (err) {
+    if (err) { return callback(err); }
+
+    storage.readFile(filename, 'utf8', function (err, rawData) {
+      var committed, data;
+
+      if (err) { return callback(err); }
+
+      committed = _.any(rawData.split('\n'), function (line) {
+        try {
+          var doc = model.deserialize(beforeDeserialization(line));
+          return doc._id === undefined && doc.$$commit === transactionId;
+        } catch (e) {
+          return false;
+        }
+      });
+      if (committed) { return callback(null); }
+
+      // The datafile ends with an incomplete line if the append was interrupted, the lines of the transaction mustn't be appended to it
+      data = rawData.length > 0 && rawData.charAt(rawData.length - 1) !== '\n' ? '\n' + entry.data : entry.data;
+      storage.appendFile(filename, data, 'utf8', function (err) { return callback(err || null); });
+    });
+  });
+};
+
+
+/**
+ * Get the names of all the collections, whether they were loaded or not
+ * @param {Function} cb Optional callback, signature: err, names (sorted)
+ *
+ * @api private Use Database.listCollections which has the same signature
+ */
+Database.prototype._listCollections = function (cb) {
+  var callback = cb || function () {}
+    , self = this
+    ;
+
+  Persistence.ensureDirectoryExists(this.directory, function (err) {
+    if (err) { return callback(err); }
+
+    storage.readdir(self.directory, function (err, files) {
+      var names;
+
+      if (err) { return callback(err); }
+
+      names = _.filter(files, function (file) { return file.slice(-extension.length) === extension; })
+               .map(function (file) { return file.slice(0, -extension.length); });
+      return callback(null, _.uniq(names.concat(Object.keys(self.collections))).sort());
+    });
+  });
+};
+
+Database.prototype.listCollections = function () {
+  return this.executor.pushWithPromise({ this: this, fn: this._listCollections, arguments: arguments });
+};
+
+
+/**
+ * Whether a collection exists, i.e. it was loaded or has a datafile
+ */
+Database.prototype._collectionExists = function (name, callback) {
+  if (this.collections[name]) { return callback(true); }
+  storage.exists(this.getFilename(name), function (exists) { return callback(exists); });
+};
+
+
+/**
+ * Delete a collection and its datafile
+ * If it was loaded, this is done once its pending operations are done, and its Datastore mustn't be used anymore:
+ * calling collection with the same name creates a new, empty, collection
+ * @param {String} name
+ * @param {Function} cb Optional callback, signature: err, dropped (false if the collection didn't exist)
+ *
+ * @api private Use Database.dropCollection which has the same signature
+ */
+Database.prototype._dropCollection = function (name, cb) {
+  var callback = cb || function () {}
+    , self = this
+    , db = this.collections[name]
+    , filename
+    ;
+
+  try {
+    checkName(name);
+  } catch (e) {
+    return callback(e);
+  }
+  filename = this.getFilename(name);
+
+  this._collectionExists(name, function (exists) {
+    if (!exists) { return callback(null, false); }
+
+    function removeDatafile (cb) {
+      async.eachSeries([filename, filename + '~'], removeFile, function (err) {
+        if (err) { return cb(err); }
+        delete self.collections[name];
+        return cb(null, true);
+      });
+    }
+
+    if (!db) { return removeDatafile(callback); }
+
+    db.persistence.stopAutocompaction();
+    db.executor.push({ this: null, fn: function (cb) {
+      db.resetIndexes();
+      removeDatafile(cb);
+    }, arguments: [callback] });
+  });
+};
+
+Database.prototype.dropCollection = function () {
+  return this.executor.pushWithPromise({ this: this, fn: this._dropCollection, arguments: arguments });
+};
+
+
+/**
+ * Rename a collection and its datafile
+ * If it was loaded, this is done once its pending operations are done and its Datastore keeps being usable
+ * @param {String} name
+ * @param {String} newName There mustn't be a collection with this name
+ * @param {Function} cb Optional callback, signature: err
+ *
+ * @api private Use Database.renameCollection which has the same signature
+ */
+Database.prototype._renameCollection = function (name, newName, cb) {
+  var callback = cb || function () {}
+    , self = this
+    , db = this.collections[name]
+    , filename, newFilename
+    ;
+
+  try {
+    checkName(name);
+    checkName(newName);
+  } catch (e) {
+    return callback(e);
+  }
+  filename = this.getFilename(name);
+  newFilename = this.getFilename(newName);
+
+  this._collectionExists(name, function (exists) {
+    if (!exists) { return callback(new Error("Collection " + name + " doesn't exist")); }
+
+    self._collectionExists(newName, function (exists) {
+      if (exists) { return callback(new Error("Collection " + newName + " already exists")); }
+
+      function renameDatafile (cb) {
+        storage.exists(filename, function (exists) {
+          if (!exists) { return cb(null); }   // A loaded collection whose datafile was removed, it is written again by the next compaction
+          storage.rename(filename, newFilename, function (err) { return cb(err || null); });
+        });
+      }
+
+      if (!db) { return renameDatafile(callback); }
+
+      // The collection is moved right away so that its name can't be reused while its pending operations are done
+      delete self.collections[name];
+      self.collections[newName] = db;
+      db.executor.push({ this: null, fn: function (cb) {
+        renameDatafile(function (err) {
+          if (err) {
+            delete self.collections[newName];
+            self.collections[name] = db;
+            return cb(err);
+          }
+
+          db.filename = newFilename;
+          db.persistence.filename = newFilename;
+          return cb(null);
+        });
+      }, arguments: [callback] });
+    });
+  });
+};
+
+Database.prototype.renameCollection = function () {
+  return this.executor.pushWithPromise({ this: this, fn: this._renameCollection, arguments: arguments });
+};
+
+
+
+/**
+ * Run a transaction on several collections: either all its operations are applied, or none is
+ * The executors of the collections are locked one after the other, in the order of their names, so that two transactions
+ * can't wait for each other. Operations on these collections wait for the end of the transaction, so they mustn't be awaited in fn
+ * If fn succeeds, the lines to append to the datafiles are written to the journal of the database before being appended,
+ * so that the transaction is entirely persisted even if the process crashes during the appends. If an append still fails after being retried, the
+ * error is returned and the journal is kept so that the transaction is completed the next time the database is loaded
+ * @param {Array} names Names of the collections used by the transaction
+ * @param {Function} fn Called with an object whose collection(name) function returns the transaction (see lib/transaction.js)
+ *                      of one of these collections. Same as the fn of Datastore.transaction otherwise
+ * @param {Function} cb Optional callback, signature: err, result where result is what fn returned (or its Promise resolved with)
+ *
+ * @api private Use Database.transaction which has the same signature
+ */
+Database.prototype._transaction = function (names, fn, cb) {
+  var callback = cb || function () {}
+    , self = this
+    , transactions = {}
+    ;
+
+  try {
+    if (!util.isArray(names) || names.length === 0) { throw new Error("A transaction needs the names of the collections it uses"); }
+    names = _.uniq(names).sort();
+    names.forEach(checkName);
+  } catch (e) {
+    return callback(e);
+  }
+
+  // A task which only calls its callback, unlock, when the transaction ends
+  async.mapSeries(names, function (name, cb) {
+    self.collection(name).executor.push({ this: null, fn: function (unlock) { return cb(null, unlock); }, arguments: [] });
+  }, function (err, unlocks) {
+    var result
+      , onDelete = []
+      ;
+
+    // The onDelete actions of the foreign keys are applied once the collections are unlocked, since they can write to them
+    // They are not part of the committed transaction, so a crash before they are done leaves them undone (see lib/foreignKeys.js)
+    function end (err, res) {
+      unlocks.forEach(function (unlock) { unlock(); });
+      async.eachSeries(onDelete, function (item, cb) { item.db._applyOnDelete(item.actions, cb); }, function (onDeleteErr) {
+        if (err || onDeleteErr) { return callback(err || onDeleteErr); }
+        return callback(null, res);
+      });
+    }
+
+    // Each transaction ends in its executor so that the operations which were not awaited are done first
+    function endTransactions (method, cb) {
+      async.each(names, function (name, cb) {
+        transactions[name].executor.push({ this: transactions[name], fn: transactions[name][method], arguments: [cb] });
+      }, cb);
+    }
+
+    names.forEach(function (name) { transactions[name] = new Transaction(self.collections[name]); });
+
+    try {
+      result = Promise.resolve(fn({ collection: function (name) {
+        if (!transactions[name]) { throw new Error("Collection " + name + " is not part of the transaction"); }
+        return transactions[name];
+      } }));
+    } catch (e) {
+      result = Promise.reject(e);
+    }
+
+    result.then(function (res) {
+      endTransactions('_finish', function () {
+        self._commitTransactions(names, transactions, onDelete, function (err) { return end(err, res); });
+      });
+    }, function (err) {
+      endTransactions('_rollback', function () { return end(err); });
+    });
+  });
+};
+
+Database.prototype.transaction = function (names, fn, cb) {
+  if (typeof cb === 'function') { return this._transaction(names, fn, cb); }
+  return Executor.promisify(this._transaction, this, [names, fn]);
+};
+
+
+/**
+ * Persist the transactions of a transaction on several collections through the journal, then notify their changes and run their post hooks
+ * @param {Array} names
+ * @param {Object} transactions Transaction of each collection, by name
+ * @param {Array} onDelete The onDelete actions of the foreign keys are pushed to it as { db, actions }, see Datastore._getOnDelete
+ * @param {Function} callback Signature: err
+ *
+ * @api private
+ */
+Database.prototype._commitTransactions = function (names, transactions, onDelete, callback) {
+  var self = this
+    , transactionId = customUtils.uid(16)
+    , journalFilename = this.getJournalFilename()
+    , entries = []
+    ;
+
+  names.forEach(function (name) {
+    var data = transactions[name].db.persistence.serializeNewState(transactions[name].toPersist, { transactionId: transactionId });
+    if (data.length > 0) { entries.push({ name: name, data: data }); }
+  });
+
+  async.waterfall([
+    function (cb) {
+      if (entries.length === 0) { return cb(); }
+
+      storage.crashSafeWriteFile(journalFilename, model.serialize({ transactionId: transactionId, entries: entries }), function (err) {
+        if (!err) { return cb(); }
+
+        async.each(names, function (name, cb) { transactions[name]._rollback(cb); }, function () { return callback(err); });
+      });
+    }
+  , function (cb) {
+      async.eachSeries(entries, function (entry, cb) {
+        storage.appendFile(self.getFilename(entry.name), entry.data, 'utf8', function (err) { return cb(err || null); });
+      }, function (err) {
+        if (!err) { return cb(); }
+        // The transaction is committed, the collections stay locked while the appends are retried so that no other write comes first
+        self._completeAppends(transactionId, entries, 0, function (retryErr) {
+          if (!retryErr) { return cb(); }
+
+          err = new Error("The transaction was committed but its lines couldn't be appended to the datafiles, they will be appended from the journal the next time the database is loaded: " + retryErr.message);
+          err.errorType = 'transactionAppendFailed';
+          return callback(err);
+        });
+      });
+    }
+  , async.apply(removeFile, journalFilename)
+  ], function (err) {
+    if (err) { return callback(err); }
+
+    names.forEach(function (name) {
+      transactions[name].db._notifyChanges(transactions[name].changes);
+      onDelete.push({ db: transactions[name].db, actions: transactions[name].db._getOnDelete(transactions[name].changes) });
+    });
+    async.eachSeries(names, function (name, cb) {
+      transactions[name].db._runPostHooks(transactions[name].postHooks, cb);
+    }, function (err) { return callback(err || null); });
+  });
+};
+
+
+/**
+ * Complete the appends of a committed transaction after one of them failed, retrying at most maxAppendRetries times
+ * The appends which were done are skipped, see _replayJournalEntry
+ * @param {String} transactionId
+ * @param {Array} entries Same as the entries of the journal
+ * @param {Number} attempts Number of attempts which failed, the delay before the next one is doubled after each of them
+ * @param {Function} callback Signature: err, the error of the last attempt if they all failed
+ *
+ * @api private
+ */
+Database.prototype._completeAppends = function (transactionId, entries, attempts, callback) {
+  var self = this;
+
+  setTimeout(function () {
+    async.eachSeries(entries, function (entry, cb) {
+      self._replayJournalEntry(transactionId, entry, cb);
+    }, function (err) {
+      if (!err) { return callback(null); }
+      if (attempts + 1 >= maxAppendRetries) { return callback(err); }
+      return self._completeAppends(transactionId, entries, attempts + 1, callback);
+    });
+  }, appendRetryDelay * Math.pow(2, attempts));
+};
+
+
+// Interface
+module.exports = Database;
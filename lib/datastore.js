@@ -1,5 +1,4 @@
-var customUtils = require('./customUtils')
-  , model = require('./model')
+var model = require('./model')
   , async = require('async')
   , Executor = require('./executor')
   , Index = require('./indexes')
@@ -7,6 +6,27 @@ var customUtils = require('./customUtils')
   , _ = require('underscore')
   , Persistence = require('./persistence')
   , Cursor = require('./cursor')
+  , references = require('./references')
+  , aggregation = require('./aggregation')
+  , ChangeStream = require('./changeStream')
+  , Snapshot = require('./snapshot')
+  , Transaction = require('./transaction')
+  , schema = require('./schema')
+  , idGenerators = require('./idGenerators')
+  , findAndModify = require('./findAndModify')
+  , mongoStyle = require('./mongoStyle')
+  , bulkWrite = require('./bulkWrite')
+  , distinct = require('./distinct')
+  , watch = require('./watch')
+  , hooks = require('./hooks')
+  , sequences = require('./sequences')
+  , softDelete = require('./softDelete')
+  , history = require('./history')
+  , foreignKeys = require('./foreignKeys')
+  , VersionConflictError = require('./errors').VersionConflictError
+  , ForeignKeyError = require('./errors').ForeignKeyError
+  , hookOperations = ['insert', 'update', 'remove', 'find']
+  , coercionTypes = ['number', 'date', 'string', 'boolean']
   ;
 
 
@@ -14,6 +34,7 @@ var customUtils = require('./customUtils')
  * Create a new collection
  * @param {String} options.filename Optional, datastore will be in-memory only if not provided
  * @param {Boolean} options.timestampData Optional, defaults to false. If set to true, createdAt and updatedAt will be created and populated automatically (if not specified by user)
+ *                                          Can also be an object { createdAt, updatedAt } giving the names of these fields, e.g. { createdAt: 'created_at', updatedAt: 'modified_at' }
  * @param {Boolean} options.inMemoryOnly Optional, defaults to false
  * @param {String} options.nodeWebkitAppName Optional, specify the name of your NW app if you want options.filename to be relative to the directory where
  *                                            Node Webkit stores application data such as cookies and local storage (the best place to store data in my opinion)
@@ -22,12 +43,42 @@ var customUtils = require('./customUtils')
  * @param {Function} options.afterSerialization/options.beforeDeserialization Optional, serialization hooks
  * @param {Number} options.corruptAlertThreshold Optional, threshold after which an alert is thrown if too much data is corrupt
  * @param {Function} options.compareStrings Optional, string comparison function that overrides default for sorting
+ * @param {Boolean} options.retainChangeHistory Optional, defaults to false. If set to true, change records are kept (in memory and in the datafile)
+ *                                              until the next compaction so that change streams can be resumed, see Datastore.watch
+ * @param {Object} options.schema Optional, JSON Schema (see lib/schema.js) inserted and updated documents are validated against
+ * @param {String} options.validationLevel Optional, 'strict' (default) to validate all inserts and updates, 'moderate' not to validate
+ *                                         updates of documents which were already invalid
+ * @param {String} options.validationAction Optional, 'error' (default) to reject invalid documents, 'warn' to only fire a validationWarning event
+ * @param {Boolean} options.softDelete Optional, defaults to false. If set to true, removed documents are only marked as deleted with a deletedAt
+ *                                       field, and are ignored by all queries unless Cursor.withDeleted is used, see Datastore.restore and Datastore.purge
+ *                                       Can also be an object { deletedAt } giving the name of this field
+ * @param {Boolean} options.keepHistory Optional, defaults to false. If set to true, all the revisions of each document are kept (in memory and
+ *                                       in the datafile), even once it is removed, see Datastore.history. Can also be an object { maxRevisions }
+ *                                       to only keep the last maxRevisions revisions of each document
+ * @param {String} options.versionKey Optional, name of a field (e.g. '__v') containing the version of each document, 0 when it is inserted and
+ *                                    incremented by every update which modifies it, see the ifVersion option of Datastore.update
+ * @param {Object} options.defaults Optional, default values of fields (dot notation allowed) missing from inserted documents, e.g. { status: 'new', tags: [] }
+ *                                  A function is called without arguments to get the value, e.g. { addedAt: function () { return new Date(); } }
+ * @param {Object} options.coerce Optional, types fields (dot notation allowed) of inserted documents are converted to, e.g. { age: 'number', birthday: 'date' }
+ *                                See model.coerce for the possible types and conversions
+ * @param {String|Function} options.idGenerator Optional, how the _id of inserted documents is generated: one of the strategies of lib/idGenerators.js
+ *                                              ('uid' (default), 'uuidv4', 'ulid', 'objectid'), 'sequence' to use the integers of the sequence
+ *                                              named _id (see Datastore.nextSequence) or a function returning a new _id, called on the datastore
  *
  * Event Emitter - Events
  * * compaction.done - Fired whenever a compaction operation was finished
+ * * insert - Fired for each inserted document (including upserts), signature: newDoc
+ * * update - Fired for each document modified by an update, signature: newDoc, oldDoc
+ * * remove - Fired for each removed document, signature: oldDoc
+ * * expire - Fired for each document removed because a TTL index expired it, signature: oldDoc
+ * * validationWarning - Fired with validationAction 'warn' when a document is invalid, signature: err (see Datastore.validateDocument), doc.
+ *                       Without listener, the warning is printed to the console
+ * Write events are fired once the write has been applied and persisted, with copies of the documents
  */
 function Datastore (options) {
-  var filename;
+  var filename
+    , self = this
+    ;
 
   // Retrocompatibility with v0.6 and before
   if (typeof options === 'string') {
@@ -39,6 +90,71 @@ function Datastore (options) {
     this.inMemoryOnly = options.inMemoryOnly || false;
     this.autoload = options.autoload || false;
     this.timestampData = options.timestampData || false;
+    this.retainChangeHistory = options.retainChangeHistory || false;
+    this.schema = options.schema || null;
+    this.validationLevel = options.validationLevel || 'strict';
+    this.validationAction = options.validationAction || 'error';
+    this.defaults = options.defaults || null;
+    this.coerce = options.coerce || null;
+    this.idGenerator = options.idGenerator;
+    this.versionKey = options.versionKey || null;
+    this.softDelete = options.softDelete || false;
+    this.keepHistory = options.keepHistory || false;
+  }
+
+  if (this.idGenerator === 'sequence') {
+    this.idGenerator = function () { return this.incrementSequence('_id'); };
+  } else if (typeof this.idGenerator !== 'function') {
+    if (this.idGenerator !== undefined && !idGenerators.hasOwnProperty(this.idGenerator)) { throw new Error("Unknown idGenerator " + this.idGenerator); }
+    this.idGenerator = idGenerators[this.idGenerator || 'uid'];
+  }
+
+  // Names of the timestamp fields, null if documents are not timestamped
+  this.timestampFields = null;
+  if (this.timestampData) {
+    if (this.timestampData !== true && typeof this.timestampData !== 'object') { throw new Error("timestampData must be a boolean or an object"); }
+    this.timestampFields = { createdAt: this.timestampData.createdAt || 'createdAt', updatedAt: this.timestampData.updatedAt || 'updatedAt' };
+    _.values(this.timestampFields).forEach(function (field) {
+      if (typeof field !== 'string' || field[0] === '$' || field.indexOf('.') !== -1 || field === '_id') { throw new Error("Invalid timestamp field name " + field); }
+    });
+    if (this.timestampFields.createdAt === this.timestampFields.updatedAt) { throw new Error("The createdAt and updatedAt timestamp fields must be different"); }
+  }
+
+  if (this.versionKey) {
+    if (typeof this.versionKey !== 'string' || this.versionKey[0] === '$' || this.versionKey.indexOf('.') !== -1 || this.versionKey === '_id') { throw new Error("Invalid versionKey " + this.versionKey); }
+    if (this.timestampFields && _.contains(_.values(this.timestampFields), this.versionKey)) { throw new Error("The versionKey can't be a timestamp field"); }
+  }
+
+  // Name of the deletion marker field, null if removals are definitive
+  this.softDeleteField = null;
+  if (this.softDelete) {
+    if (this.softDelete !== true && typeof this.softDelete !== 'object') { throw new Error("softDelete must be a boolean or an object"); }
+    this.softDeleteField = this.softDelete.deletedAt || 'deletedAt';
+    if (typeof this.softDeleteField !== 'string' || this.softDeleteField[0] === '$' || this.softDeleteField.indexOf('.') !== -1 || this.softDeleteField === '_id') { throw new Error("Invalid deletedAt field name " + this.softDeleteField); }
+    if (this.softDeleteField === this.versionKey || (this.timestampFields && _.contains(_.values(this.timestampFields), this.softDeleteField))) { throw new Error("The deletedAt field can't be a timestamp field or the versionKey"); }
+  }
+
+  this.maxRevisions = null;
+  if (this.keepHistory) {
+    if (this.keepHistory !== true && typeof this.keepHistory !== 'object') { throw new Error("keepHistory must be a boolean or an object"); }
+    if (this.keepHistory.maxRevisions !== undefined) {
+      if (typeof this.keepHistory.maxRevisions !== 'number' || this.keepHistory.maxRevisions < 1) { throw new Error("maxRevisions must be a strictly positive number"); }
+      this.maxRevisions = this.keepHistory.maxRevisions;
+    }
+  }
+
+  if (this.schema) {
+    if (typeof this.schema !== 'object') { throw new Error("The schema must be an object"); }
+    schema.checkSchema(this.schema);
+  }
+  if (this.validationLevel && ['strict', 'moderate'].indexOf(this.validationLevel) === -1) { throw new Error("validationLevel must be 'strict' or 'moderate'"); }
+  if (this.validationAction && ['error', 'warn'].indexOf(this.validationAction) === -1) { throw new Error("validationAction must be 'error' or 'warn'"); }
+  if (this.defaults && typeof this.defaults !== 'object') { throw new Error("The defaults must be an object"); }
+  if (this.coerce) {
+    if (typeof this.coerce !== 'object') { throw new Error("The coerce option must be an object"); }
+    Object.keys(this.coerce).forEach(function (field) {
+      if (coercionTypes.indexOf(this.coerce[field]) === -1) { throw new Error("Can't coerce field " + field + " to unknown type " + this.coerce[field]); }
+    }, this);
   }
 
   // Determine whether in memory or persistent
@@ -71,6 +187,34 @@ function Datastore (options) {
   this.indexes._id = new Index({ fieldName: '_id', unique: true });
   this.ttlIndexes = {};
 
+  // Change streams opened with watch, token of the last change and, if retainChangeHistory is used, the records
+  // of the changes since the last compaction
+  this.changeStreams = [];
+  this.lastChangeToken = 0;
+  this.changeHistory = [];
+
+  // Last value of each sequence, and names of the sequences incremented since their last value was persisted
+  this.sequences = {};
+  this.pendingSequences = {};
+
+  // With keepHistory, revisions of each document, oldest first, by serialized _id
+  this.revisions = {};
+
+  // Foreign keys of this datastore by field name, and foreign keys of other datastores (or this one) referencing it, see addForeignKey
+  this.foreignKeys = {};
+  this.referencingKeys = [];
+
+  // onDelete actions of the foreign keys queued by the current task, applied once it is done and before its callback is called
+  this.pendingOnDelete = [];
+  this.executor.afterTask = function (callback) { self._applyPendingOnDelete(callback); };
+
+  // Middleware registered with pre and post, by operation
+  this.hooks = { pre: {}, post: {} };
+  hookOperations.forEach(function (operation) {
+    this.hooks.pre[operation] = [];
+    this.hooks.post[operation] = [];
+  }, this);
+
   // Queue a load of the database right away and call the onload handler
   // By default (no onload handler), if there is an error there, no operation will be possible so warn the user by throwing an exception
   if (this.autoload) { this.loadDatabase(options.onload || function (err) {
@@ -80,12 +224,16 @@ function Datastore (options) {
 
 util.inherits(Datastore, require('events').EventEmitter);
 
+// The functions of the features implemented in their own module
+_.extend(Datastore.prototype, findAndModify, mongoStyle, bulkWrite, distinct, watch, hooks, sequences, softDelete, history, foreignKeys);
+
 
 /**
  * Load the database from the datafile, and trigger the execution of buffered commands if any
+ * @param {Function} cb Optional callback, signature: err. If not given, a Promise is returned
  */
 Datastore.prototype.loadDatabase = function () {
-  this.executor.push({ this: this.persistence, fn: this.persistence.loadDatabase, arguments: arguments }, true);
+  return this.executor.pushWithPromise({ this: this.persistence, fn: this.persistence.loadDatabase, arguments: arguments }, true);
 };
 
 
@@ -117,11 +265,13 @@ Datastore.prototype.resetIndexes = function (newData) {
  * @param {Boolean} options.unique
  * @param {Boolean} options.sparse
  * @param {Number} options.expireAfterSeconds - Optional, if set this index becomes a TTL index (only works on Date fields, not arrays of Date)
- * @param {Function} cb Optional callback, signature: err
+ * @param {Function} cb Optional callback, signature: err. If not given, a Promise is returned
  */
 Datastore.prototype.ensureIndex = function (options, cb) {
   var err
-    , callback = cb || function () {};
+    , callback = cb;
+
+  if (typeof callback !== 'function') { return Executor.promisify(this.ensureIndex, this, [options]); }
 
   options = options || {};
 
@@ -153,10 +303,12 @@ Datastore.prototype.ensureIndex = function (options, cb) {
 /**
  * Remove an index
  * @param {String} fieldName
- * @param {Function} cb Optional callback, signature: err
+ * @param {Function} cb Optional callback, signature: err. If not given, a Promise is returned
  */
 Datastore.prototype.removeIndex = function (fieldName, cb) {
-  var callback = cb || function () {};
+  var callback = cb;
+
+  if (typeof callback !== 'function') { return Executor.promisify(this.removeIndex, this, [fieldName]); }
 
   delete this.indexes[fieldName];
 
@@ -322,9 +474,25 @@ Datastore.prototype.getCandidates = function (query, dontExpireStaleDocs, callba
     });
 
     async.eachSeries(expiredDocsIds, function (_id, cb) {
-      self._remove({ _id: _id }, {}, function (err) {
+      // Expirations aren't removals made by the user, so they don't run the remove hooks, but they do apply the foreign keys
+      self._removeMatchingFromCache({ _id: _id }, false, function (err, result) {
         if (err) { return callback(err); }
-        return cb();
+
+        // A document still referenced with onDelete restrict is kept until it isn't anymore
+        try {
+          self.checkOnDelete(result.removedDocs);
+        } catch (e) {
+          self._revertChanges(result.changes);
+          validDocs = validDocs.concat(result.removedDocs);
+          return cb();
+        }
+
+        self.persistence.persistNewState(result.toPersist, function (err) {
+          if (err) { return callback(err); }
+          self._notifyChanges(_.map(result.changes, function (change) { return { type: 'expire', doc: change.doc }; }));
+          self._queueOnDelete(result.changes);
+          return cb();
+        });
       });
     }, function (err) {
       return callback(null, validDocs);
@@ -334,26 +502,199 @@ Datastore.prototype.getCandidates = function (query, dontExpireStaleDocs, callba
 
 
 /**
- * Insert a new document
- * @param {Function} cb Optional callback, signature: err, insertedDoc
+ * Describe the insertion of docs as changes for _notifyChanges
+ */
+function insertChanges (docs) {
+  return _.map(docs, function (doc) { return { type: 'insert', doc: doc }; });
+}
+
+
+/**
+ * Notify a list of changes which were applied and persisted by emitting the corresponding events
+ * and pushing their change records to the change streams
+ * @param {Array} changes Array of { type, doc, oldDoc } where type is one of 'insert', 'update', 'remove' and 'expire',
+ *                        doc the new document (the removed document for removals and expirations) and oldDoc, only for updates, the previous version
+ *                        There must be exactly one change per line appended to the datafile, in the same order, so that tokens match the datafile
  *
- * @api private Use Datastore.insert which has the same signature
+ * @api private
  */
-Datastore.prototype._insert = function (newDoc, cb) {
-  var callback = cb || function () {}
+Datastore.prototype._notifyChanges = function (changes) {
+  var self = this;
+
+  changes.forEach(function (change) {
+    var record;
+
+    self.lastChangeToken += 1;
+    if (self.retainChangeHistory || self.changeStreams.length > 0) {
+      record = ChangeStream.createChangeRecord(self.lastChangeToken, change.type, change.doc, change.oldDoc);
+      if (self.retainChangeHistory) { self.changeHistory.push(record); }
+      self.changeStreams.forEach(function (stream) { stream._push(record); });
+    }
+
+    // Documents are only copied when someone listens, so that events are free otherwise
+    if (self.listeners(change.type).length === 0) { return; }
+
+    try {
+      if (change.type === 'update') {
+        self.emit('update', model.deepCopy(change.doc), model.deepCopy(change.oldDoc));
+      } else {
+        self.emit(change.type, model.deepCopy(change.doc));
+      }
+    } catch (e) {
+      // Same as a throw in a callback, this mustn't prevent the executor from running the next tasks
+      async.setImmediate(function () { throw e; });
+    }
+  });
+};
+
+
+/**
+ * Prepare a document (or array of documents) for insertion then run the pre insert hooks on each prepared copy,
+ * which they can modify or replace, and validate the result against the schema
+ * @param {Document or Array of documents} newDoc
+ * @param {Function} callback Signature: err, preparedDoc
+ *
+ * @api private
+ */
+Datastore.prototype._prepareDocumentWithHooks = function (newDoc, callback) {
+  var self = this
     , preparedDoc
+    , context
     ;
 
+  if (this.hooks.pre.insert.length === 0) {
+    try {
+      preparedDoc = this.prepareDocumentForInsertion(newDoc);
+      (util.isArray(preparedDoc) ? preparedDoc : [preparedDoc]).forEach(function (doc) { self.validateDocument(doc); });
+    } catch (e) {
+      return callback(e);
+    }
+    return callback(null, preparedDoc);
+  }
+
+  if (util.isArray(newDoc)) {
+    return async.mapSeries(newDoc, function (doc, cb) { self._prepareDocumentWithHooks(doc, cb); }, callback);
+  }
+
   try {
-    preparedDoc = this.prepareDocumentForInsertion(newDoc)
-    this._insertInCache(preparedDoc);
+    context = { doc: this.prepareDocumentForInsertion(newDoc) };
   } catch (e) {
     return callback(e);
   }
 
-  this.persistence.persistNewState(util.isArray(preparedDoc) ? preparedDoc : [preparedDoc], function (err) {
+  this._runHooks('pre', 'insert', context, function (err) {
     if (err) { return callback(err); }
-    return callback(null, model.deepCopy(preparedDoc));
+
+    try {
+      if (context.doc._id === undefined) { context.doc._id = self.createNewId(); }
+      model.checkObject(context.doc);
+      self.validateDocument(context.doc);
+    } catch (e) {
+      return callback(e);
+    }
+
+    return callback(null, context.doc);
+  });
+};
+
+
+/**
+ * Insert a new document, or an array of documents
+ * @param {Document or Array of documents} newDoc
+ * @param {Object} options Optional options
+ *                 options.ordered Defaults to true, only used when inserting an array. If true, the insert is atomic: if one document
+ *                                 can't be inserted (e.g. because of a unique constraint) no document is. If false, all valid documents
+ *                                 are inserted and the others are reported in a 'bulkWriteFailed' error (see _insertUnordered)
+ * @param {Function} cb Optional callback, signature: err, insertedDoc
+ *
+ * @api private Use Datastore.insert which has the same signature
+ */
+Datastore.prototype._insert = function (newDoc, options, cb) {
+  var callback
+    , self = this
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+  options = options || {};
+
+  if (util.isArray(newDoc) && options.ordered === false) { return this._insertUnordered(newDoc, callback); }
+
+  this._prepareDocumentWithHooks(newDoc, function (err, preparedDoc) {
+    var preparedDocs;
+
+    if (err) { return callback(err); }
+
+    try {
+      self._insertInCache(preparedDoc);
+    } catch (e) {
+      return callback(e);
+    }
+
+    preparedDocs = util.isArray(preparedDoc) ? preparedDoc : [preparedDoc];
+    self.persistence.persistNewState(preparedDocs, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(insertChanges(preparedDocs));
+      self._runPostHooks(self._insertPostHooks(preparedDocs), function (err) {
+        if (err) { return callback(err); }
+        return callback(null, model.deepCopy(preparedDoc));
+      });
+    });
+  });
+};
+
+/**
+ * Insert all the valid documents of an array, skipping the ones that can't be inserted
+ * @param {Array of documents} newDocs
+ * @param {Function} callback Signature: err, insertedDocs
+ *                            If some documents were rejected, err is a 'bulkWriteFailed' error whose writeErrors field is an array
+ *                            of { index, error, document }, index being the position of the rejected document in newDocs and error
+ *                            the reason it was rejected (e.g. a 'uniqueViolated' error and its key). The valid documents are still
+ *                            inserted and persisted, and passed as insertedDocs (also available as the error's insertedDocs field)
+ *
+ * @api private
+ */
+Datastore.prototype._insertUnordered = function (newDocs, callback) {
+  var self = this
+    , insertedDocs = []
+    , writeErrors = []
+    ;
+
+  async.eachSeries(_.range(newDocs.length), function (i, cb) {
+    self._prepareDocumentWithHooks(newDocs[i], function (err, preparedDoc) {
+      if (!err) {
+        try {
+          self._insertInCache(preparedDoc);
+          insertedDocs.push(preparedDoc);
+        } catch (e) {
+          err = e;
+        }
+      }
+      if (err) { writeErrors.push({ index: i, error: err, document: newDocs[i] }); }
+
+      return async.setImmediate(cb);   // Don't let the stack grow with the number of documents
+    });
+  }, function () {
+    self.persistence.persistNewState(insertedDocs, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(insertChanges(insertedDocs));
+
+      self._runPostHooks(self._insertPostHooks(insertedDocs), function (err) {
+        var insertedDocsDC = model.deepCopy(insertedDocs);
+
+        if (err) { return callback(err); }
+
+        if (writeErrors.length > 0) {
+          err = new Error("Insert failed for " + writeErrors.length + " document(s), first error: " + writeErrors[0].error.message);
+          err.errorType = 'bulkWriteFailed';
+          err.writeErrors = writeErrors;
+          err.insertedDocs = insertedDocsDC;
+          return callback(err, insertedDocsDC);
+        }
+
+        return callback(null, insertedDocsDC);
+      });
+    });
   });
 };
 
@@ -361,17 +702,75 @@ Datastore.prototype._insert = function (newDoc, cb) {
  * Create a new _id that's not already in use
  */
 Datastore.prototype.createNewId = function () {
-  var tentativeId = customUtils.uid(16);
-  // Try as many times as needed to get an unused _id. As explained in customUtils, the probability of this ever happening is extremely small, so this is O(1)
+  var tentativeId = this.idGenerator();
+  if (tentativeId === undefined || tentativeId === null) { throw new Error("The idGenerator didn't return an _id"); }
+  // Try as many times as needed to get an unused _id. As explained in customUtils, with the built-in generators the probability of this ever happening is extremely small, so this is O(1)
   if (this.indexes._id.getMatching(tentativeId).length > 0) {
     tentativeId = this.createNewId();
   }
   return tentativeId;
 };
 
+/**
+ * Fill in the missing fields which have a default value, then coerce the fields which have a type
+ * @param {Document} doc Not modified
+ * @return {Document} The new document
+ * Throws if a field can't be coerced
+ */
+Datastore.prototype.applyDefaultsAndCoercion = function (doc) {
+  var $set = {}, self = this;
+
+  if (this.defaults) {
+    Object.keys(this.defaults).forEach(function (field) {
+      if (model.getDotValue(doc, field) !== undefined) { return; }
+      $set[field] = typeof self.defaults[field] === 'function' ? self.defaults[field]() : model.deepCopy(self.defaults[field]);
+    });
+  }
+
+  if (this.coerce) {
+    Object.keys(this.coerce).forEach(function (field) {
+      var value = $set.hasOwnProperty(field) ? $set[field] : model.getDotValue(doc, field);
+      if (value === undefined) { return; }
+      try {
+        $set[field] = model.coerce(value, self.coerce[field]);
+      } catch (e) {
+        throw new Error("Field " + field + ": " + e.message);
+      }
+    });
+  }
+
+  if (Object.keys($set).length === 0) { return doc; }
+  return model.modify(doc, { $set: $set });
+};
+
+/**
+ * Version of a document, documents inserted before the versionKey option was used being at version 0
+ */
+Datastore.prototype.getVersion = function (doc) {
+  return doc[this.versionKey] === undefined ? 0 : doc[this.versionKey];
+};
+
+/**
+ * Give the new version of an updated document the timestamps and version of its current version, as updates can't change them
+ * @param {Document} oldDoc
+ * @param {Document} newDoc Modified in place
+ */
+Datastore.prototype.keepManagedFields = function (oldDoc, newDoc) {
+  var fields = _.values(this.timestampFields || {});
+
+  if (this.versionKey) { fields.push(this.versionKey); }
+  fields.forEach(function (field) {
+    if (oldDoc[field] === undefined) {
+      delete newDoc[field];
+    } else {
+      newDoc[field] = oldDoc[field];
+    }
+  });
+};
+
 /**
  * Prepare a document (or array of documents) to be inserted in a database
- * Meaning adds _id and timestamps if necessary on a copy of newDoc to avoid any side effect on user input
+ * Meaning applies the defaults and coercion, and adds _id, timestamps and version if necessary on a copy of newDoc to avoid any side effect on user input
  * @api private
  */
 Datastore.prototype.prepareDocumentForInsertion = function (newDoc) {
@@ -381,27 +780,66 @@ Datastore.prototype.prepareDocumentForInsertion = function (newDoc) {
     preparedDoc = [];
     newDoc.forEach(function (doc) { preparedDoc.push(self.prepareDocumentForInsertion(doc)); });
   } else {
-    preparedDoc = model.deepCopy(newDoc);
+    preparedDoc = this.applyDefaultsAndCoercion(model.deepCopy(newDoc));
     if (preparedDoc._id === undefined) { preparedDoc._id = this.createNewId(); }
     var now = new Date();
-    if (this.timestampData && preparedDoc.createdAt === undefined) { preparedDoc.createdAt = now; }
-    if (this.timestampData && preparedDoc.updatedAt === undefined) { preparedDoc.updatedAt = now; }
+    if (this.timestampFields && preparedDoc[this.timestampFields.createdAt] === undefined) { preparedDoc[this.timestampFields.createdAt] = now; }
+    if (this.timestampFields && preparedDoc[this.timestampFields.updatedAt] === undefined) { preparedDoc[this.timestampFields.updatedAt] = now; }
+    if (this.versionKey && preparedDoc[this.versionKey] === undefined) { preparedDoc[this.versionKey] = 0; }
     model.checkObject(preparedDoc);
   }
 
   return preparedDoc;
 };
 
+/**
+ * Validate a document about to be inserted, or the new version of an updated document, against the schema if there is one
+ * Throws the validation error (see lib/schema.js) if validationAction is 'error', fires a validationWarning event otherwise
+ * @param {Document} doc
+ * @param {Document} oldDoc Optional, the current version of an updated document. With validationLevel 'moderate', updates
+ *                          of documents which were already invalid are not validated
+ */
+Datastore.prototype.validateDocument = function (doc, oldDoc) {
+  var errors, err;
+
+  if (!this.schema) { return; }
+  if (oldDoc && this.validationLevel === 'moderate' && schema.validate(oldDoc, this.schema).length > 0) { return; }
+
+  errors = schema.validate(doc, this.schema);
+  if (errors.length === 0) { return; }
+
+  err = schema.validationError(errors);
+  if (this.validationAction === 'error') { throw err; }
+
+  if (this.listeners('validationWarning').length === 0) { return console.log("Warning: " + err.message); }
+  try {
+    this.emit('validationWarning', err, model.deepCopy(doc));
+  } catch (e) {
+    // Same as a throw in a callback, this mustn't prevent the write from being applied
+    async.setImmediate(function () { throw e; });
+  }
+};
+
 /**
  * If newDoc is an array of documents, this will insert all documents in the cache
  * @api private
  */
 Datastore.prototype._insertInCache = function (preparedDoc) {
+  var preparedDocs = util.isArray(preparedDoc) ? preparedDoc : [preparedDoc];
+
   if (util.isArray(preparedDoc)) {
     this._insertMultipleDocsInCache(preparedDoc);
   } else {
     this.addToIndexes(preparedDoc);
   }
+
+  // Checked once the documents are inserted since they can reference each other
+  try {
+    this.checkForeignKeys(preparedDocs);
+  } catch (e) {
+    preparedDocs.forEach(function (doc) { this.removeFromIndexes(doc); }, this);
+    throw e;
+  }
 };
 
 /**
@@ -431,8 +869,12 @@ Datastore.prototype._insertMultipleDocsInCache = function (preparedDocs) {
   }
 };
 
+/**
+ * Insert a new document, or an array of documents, see _insert for the signature
+ * If no callback is given, a Promise resolving with insertedDoc is returned
+ */
 Datastore.prototype.insert = function () {
-  this.executor.push({ this: this, fn: this._insert, arguments: arguments });
+  return this.executor.pushWithPromise({ this: this, fn: this._insert, arguments: arguments });
 };
 
 
@@ -456,7 +898,7 @@ Datastore.prototype.count = function(query, callback) {
 
 /**
  * Find all documents matching the query
- * If no callback is passed, we return the cursor so that user can limit, skip and finally exec
+ * If no callback is passed, we return the cursor so that user can limit, skip and finally exec (or await it, cursors are thenable)
  * @param {Object} query MongoDB-style query
  * @param {Object} projection MongoDB-style projection
  */
@@ -531,6 +973,145 @@ Datastore.prototype.findOne = function (query, projection, callback) {
 };
 
 
+/**
+ * Take a read-only snapshot of the datastore, with the same find, findOne and count functions
+ * Their results reflect the state of the datastore once all the operations queued before this call are done,
+ * whatever the writes made after it. The snapshot shares the documents with the datastore instead of copying them
+ * @return {Snapshot}
+ */
+Datastore.prototype.snapshot = function () {
+  var snapshot = new Snapshot(this);
+  this.executor.push({ this: snapshot, fn: snapshot._capture, arguments: [] });
+  return snapshot;
+};
+
+
+/**
+ * Run several operations as one transaction: either all of them are applied and persisted, or none is
+ * The transaction is one executor task, so no other operation can happen during it
+ * @param {Function} fn Called with the transaction, a Transaction (see lib/transaction.js) with the insert, update, remove, find,
+ *                      findOne and count functions of the datastore. It can return a Promise, e.g. be an async function.
+ *                      If it throws or its Promise rejects, all the changes are undone, otherwise they are persisted with one append
+ *                      to the datafile, which is ignored when the database is loaded if it didn't complete
+ *                      Operations of the datastore itself must not be awaited in fn since they wait for the end of the transaction
+ * @param {Function} cb Optional callback, signature: err, result where result is what fn returned (or its Promise resolved with)
+ *
+ * @api private Use Datastore.transaction which has the same signature
+ */
+Datastore.prototype._transaction = function (fn, cb) {
+  var callback = cb || function () {}
+    , transaction = new Transaction(this)
+    , result
+    ;
+
+  try {
+    result = Promise.resolve(fn(transaction));
+  } catch (e) {
+    result = Promise.reject(e);
+  }
+
+  // Ending the transaction in its executor waits for the operations which were not awaited
+  result.then(function (res) {
+    transaction.executor.push({ this: transaction, fn: transaction._commit, arguments: [function (err) {
+      if (err) { return callback(err); }
+      return callback(null, res);
+    }] });
+  }, function (err) {
+    transaction.executor.push({ this: transaction, fn: transaction._rollback, arguments: [function () { return callback(err); }] });
+  });
+};
+
+Datastore.prototype.transaction = function (fn, cb) {
+  // fn is a function too, so it mustn't be taken for the callback when cb isn't given
+  return this.executor.pushWithPromise({ this: this, fn: this._transaction, arguments: [fn, cb] });
+};
+
+
+/**
+ * Run an aggregation pipeline on the collection, see lib/aggregation.js for the supported stages
+ * A leading $match stage is used to get the candidates so it can benefit from the indexes
+ * @param {Array} pipeline
+ * @param {Function} cb Optional callback, signature: err, docs
+ *
+ * @api private Use Datastore.aggregate which has the same signature
+ */
+Datastore.prototype._aggregate = function (pipeline, cb) {
+  var callback = cb || function () {}
+    , self = this
+    , query = {}
+    ;
+
+  if (util.isArray(pipeline) && pipeline.length > 0 && pipeline[0] && Object.keys(pipeline[0]).length === 1 && pipeline[0].$match) {
+    query = pipeline[0].$match;
+    pipeline = pipeline.slice(1);
+  }
+
+  new Cursor(this, query)._exec(function (err, docs) {
+    var res;
+
+    if (err) { return callback(err); }
+
+    try {
+      res = aggregation.aggregate(docs, pipeline, { compareStrings: self.compareStrings });
+    } catch (e) {
+      return callback(e);
+    }
+
+    return callback(null, res);
+  });
+};
+
+/**
+ * The $lookup stages query other datastores, so the executor only runs the pipeline up to the first one and the rest
+ * of the pipeline is run once the task is done, the executor doesn't wait for the other datastores
+ */
+Datastore.prototype.aggregate = function (pipeline, cb) {
+  var self = this
+    , i = util.isArray(pipeline) ? _.indexOf(_.map(pipeline, aggregation.isLookup), true) : -1
+    ;
+
+  if (i === -1) { return this.executor.pushWithPromise({ this: this, fn: this._aggregate, arguments: arguments }); }
+  if (typeof cb !== 'function') { return Executor.promisify(this.aggregate, this, [pipeline]); }
+
+  this.executor.push({ this: this, fn: this._aggregate, arguments: [pipeline.slice(0, i), function (err, docs) {
+    if (err) { return cb(err); }
+    self._aggregateWithLookups(docs, pipeline.slice(i), cb);
+  }] });
+};
+
+
+/**
+ * Run the rest of a pipeline on the results of its first part, resolving the references of each $lookup with one query
+ * @param {Array} docs Copies of the documents, which are modified
+ * @param {Array} pipeline
+ * @param {Function} callback Signature: err, docs
+ */
+Datastore.prototype._aggregateWithLookups = function (docs, pipeline, callback) {
+  var self = this
+    , i = _.indexOf(_.map(pipeline, aggregation.isLookup), true)
+    , options = { compareStrings: this.compareStrings }
+    , lookup
+    ;
+
+  try {
+    docs = aggregation.aggregate(docs, i === -1 ? pipeline : pipeline.slice(0, i), options);
+    if (i !== -1) {
+      lookup = pipeline[i].$lookup;
+      aggregation.checkLookup(lookup);
+    }
+  } catch (e) {
+    return callback(e);
+  }
+
+  if (i === -1) { return callback(null, docs); }
+
+  references.resolve(docs, lookup.localField, lookup.from, lookup.foreignField, function (err, getReferenced) {
+    if (err) { return callback(err); }
+    self._aggregateWithLookups(aggregation.lookup(docs, lookup, getReferenced), pipeline.slice(i + 1), callback);
+  });
+};
+
+
 /**
  * Update all docs matching query
  * @param {Object} query
@@ -539,6 +1120,8 @@ Datastore.prototype.findOne = function (query, projection, callback) {
  *                 options.multi If true, can update multiple documents (defaults to false)
  *                 options.upsert If true, document is inserted if the query doesn't match anything
  *                 options.returnUpdatedDocs Defaults to false, if true return as third argument the array of updated matched documents (even if no change actually took place)
+ *                 options.ifVersion Optional, only with the versionKey option. If a matched document is not at this version, the update
+ *                                   fails with a VersionConflictError (see lib/errors.js) and no document is modified
  * @param {Function} cb Optional callback, signature: (err, numAffected, affectedDocuments, upsert)
  *                      If update was an upsert, upsert flag is set to true
  *                      affectedDocuments can be one of the following:
@@ -559,18 +1142,94 @@ Datastore.prototype.findOne = function (query, projection, callback) {
 Datastore.prototype._update = function (query, updateQuery, options, cb) {
   var callback
     , self = this
-    , numReplaced = 0
-    , multi, upsert
-    , i
+    , multi
     ;
 
   if (typeof options === 'function') { cb = options; options = {}; }
   callback = cb || function () {};
   multi = options.multi !== undefined ? options.multi : false;
-  upsert = options.upsert !== undefined ? options.upsert : false;
+
+  this._updateInCache(query, updateQuery, options, function (err, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+
+      self._runPostHooks(result.postHooks, function (err) {
+        if (err) { return callback(err); }
+
+        if (result.upsertedDoc) { return callback(null, 1, model.deepCopy(result.upsertedDoc), true); }
+
+        if (!options.returnUpdatedDocs) {
+          return callback(null, result.numMatched);
+        } else {
+          var updatedDocsDC = [];
+          result.updatedDocs.forEach(function (doc) { updatedDocsDC.push(model.deepCopy(doc)); });
+          if (! multi) { updatedDocsDC = updatedDocsDC[0]; }
+          return callback(null, result.numMatched, updatedDocsDC);
+        }
+      });
+    });
+  });
+};
+
+
+/**
+ * Apply an update to the cached database (i.e. all indexes) without persisting it, after running the pre update hooks
+ * If an error is returned neither the datafile nor the in-memory indexes are affected
+ * Same parameters as _update except the callback, and options.sort: without multi, the document to update is the first one
+ * matching the query (as modified by the pre hooks) according to this sort query
+ * @param {Function} callback Signature: err, result
+ *                            result.numMatched Number of documents matching the query
+ *                            result.numModified Number of matched documents that were actually changed by the update
+ *                            result.updatedDocs Updated documents, as stored in the cache (even if no change took place)
+ *                            result.upsertedDoc The inserted document if the update was an upsert
+ *                            result.toPersist Documents to persist with persistNewState
+ *                            result.changes Changes to notify with _notifyChanges once persisted
+ *                            result.postHooks Post hooks to run with _runPostHooks once persisted
+ *
+ * @api private
+ */
+Datastore.prototype._updateInCache = function (query, updateQuery, options, _callback) {
+  var self = this
+    , numMatched = 0, numModified = 0
+    , multi, upsert, ifVersion, sortQuery
+    , i
+    , context = { query: query, update: updateQuery, options: options }
+    ;
+
+  // The post hooks share the context of the pre hooks, with the result of the update
+  function callback (err, result) {
+    if (err) { return _callback(err); }
+
+    result.postHooks = [];
+    if (self.hooks.post.update.length > 0) {
+      context.result = { numMatched: result.numMatched, numModified: result.numModified, updatedDocs: model.deepCopy(result.updatedDocs)
+                       , upsertedDoc: result.upsertedDoc ? model.deepCopy(result.upsertedDoc) : null };
+      result.postHooks.push({ operation: 'update', context: context });
+    }
+
+    return _callback(null, result);
+  }
 
   async.waterfall([
-  function (cb) {   // If upsert option is set, check whether we need to insert the doc
+  function (cb) {   // The pre hooks can modify the query, the update query and the options
+    self._runHooks('pre', 'update', context, function (err) {
+      if (err) { return callback(err); }
+
+      query = context.query;
+      updateQuery = context.update;
+      options = context.options || {};
+      multi = options.multi !== undefined ? options.multi : false;
+      upsert = options.upsert !== undefined ? options.upsert : false;
+      ifVersion = options.ifVersion;
+      sortQuery = multi ? undefined : options.sort;
+      if (ifVersion !== undefined && !self.versionKey) { return callback(new Error("The ifVersion option can only be used with the versionKey option")); }
+      return cb();
+    });
+  }
+  , function (cb) {   // If upsert option is set, check whether we need to insert the doc
     if (!upsert) { return cb(); }
 
     // Need to use an internal function not tied to the executor to avoid deadlock
@@ -580,7 +1239,7 @@ Datastore.prototype._update = function (query, updateQuery, options, cb) {
       if (docs.length === 1) {
         return cb();
       } else {
-        var toBeInserted;
+        var toBeInserted, preparedDoc;
 
         try {
           model.checkObject(updateQuery);
@@ -596,32 +1255,52 @@ Datastore.prototype._update = function (query, updateQuery, options, cb) {
           }
         }
 
-        return self._insert(toBeInserted, function (err, newDoc) {
-          if (err) { return callback(err); }
-          return callback(null, 1, newDoc, true);
-        });
+        try {
+          preparedDoc = self.prepareDocumentForInsertion(toBeInserted);
+          self.validateDocument(preparedDoc);
+          self._insertInCache(preparedDoc);
+        } catch (e) {
+          return callback(e);
+        }
+
+        return callback(null, { numMatched: 0, numModified: 0, updatedDocs: [], upsertedDoc: preparedDoc, toPersist: [preparedDoc], changes: insertChanges([preparedDoc]) });
       }
     });
   }
   , function () {   // Perform the update
-    var modifiedDoc , modifications = [], createdAt;
+    var modifiedDoc , modifications = [], updatedDocs = [];
+
+    function getCandidates (cb) {
+      if (!sortQuery) { return self.getCandidates(query, cb); }
+      self._findFirst(query, sortQuery, function (err, doc) { return cb(err, doc ? [doc] : []); });
+    }
 
-    self.getCandidates(query, function (err, candidates) {
+    getCandidates(function (err, candidates) {
       if (err) { return callback(err); }
 
       // Preparing update (if an error is thrown here neither the datafile nor
       // the in-memory indexes are affected)
       try {
         for (i = 0; i < candidates.length; i += 1) {
-          if (model.match(candidates[i], query) && (multi || numReplaced === 0)) {
-            numReplaced += 1;
-            if (self.timestampData) { createdAt = candidates[i].createdAt; }
+          if (model.match(candidates[i], query) && !self.isSoftDeleted(candidates[i]) && (multi || numMatched === 0)) {
+            numMatched += 1;
+            if (ifVersion !== undefined && self.getVersion(candidates[i]) !== ifVersion) {
+              throw new VersionConflictError(candidates[i]._id, ifVersion, self.getVersion(candidates[i]));
+            }
             modifiedDoc = model.modify(candidates[i], updateQuery);
-            if (self.timestampData) {
-              modifiedDoc.createdAt = createdAt;
-              modifiedDoc.updatedAt = new Date();
+            self.keepManagedFields(candidates[i], modifiedDoc);
+
+            // Documents the update didn't change are left untouched: not timestamped, validated, persisted nor notified
+            if (model.areThingsEqual(candidates[i], modifiedDoc)) {
+              updatedDocs.push(candidates[i]);
+            } else {
+              numModified += 1;
+              if (self.timestampFields) { modifiedDoc[self.timestampFields.updatedAt] = new Date(); }
+              if (self.versionKey) { modifiedDoc[self.versionKey] = self.getVersion(candidates[i]) + 1; }
+              self.validateDocument(modifiedDoc, candidates[i]);
+              modifications.push({ oldDoc: candidates[i], newDoc: modifiedDoc });
+              updatedDocs.push(modifiedDoc);
             }
-            modifications.push({ oldDoc: candidates[i], newDoc: modifiedDoc });
           }
         }
       } catch (err) {
@@ -635,25 +1314,46 @@ Datastore.prototype._update = function (query, updateQuery, options, cb) {
         return callback(err);
       }
 
-      // Update the datafile
-      var updatedDocs = _.pluck(modifications, 'newDoc');
-      self.persistence.persistNewState(updatedDocs, function (err) {
-        if (err) { return callback(err); }
-        if (!options.returnUpdatedDocs) {
-          return callback(null, numReplaced);
-        } else {
-          var updatedDocsDC = [];
-          updatedDocs.forEach(function (doc) { updatedDocsDC.push(model.deepCopy(doc)); });
-          if (! multi) { updatedDocsDC = updatedDocsDC[0]; }
-          return callback(null, numReplaced, updatedDocsDC);
-        }
-      });
+      var changes = _.map(modifications, function (m) { return { type: 'update', doc: m.newDoc, oldDoc: m.oldDoc }; });
+
+      try {
+        self.checkForeignKeys(_.pluck(modifications, 'newDoc'), _.pluck(modifications, 'oldDoc'));
+      } catch (err) {
+        self._revertChanges(changes);
+        return callback(err);
+      }
+
+      return callback(null, { numMatched: numMatched, numModified: numModified, updatedDocs: updatedDocs, toPersist: _.pluck(modifications, 'newDoc'), changes: changes });
     });
   }]);
 };
 
+/**
+ * Update all docs matching query, see _update for the signature
+ * If no callback is given, a Promise is returned. As it can only resolve with one value, it resolves with
+ * an object { numAffected, affectedDocuments, upsert } built from the arguments the callback would have received
+ */
 Datastore.prototype.update = function () {
-  this.executor.push({ this: this, fn: this._update, arguments: arguments });
+  return this.executor.pushWithPromise({ this: this, fn: this._update, arguments: arguments, resultNames: ['numAffected', 'affectedDocuments', 'upsert'] });
+};
+
+
+/**
+ * Get the first document matching query according to sortQuery, without going through the executor
+ * @param {Object} query
+ * @param {Object} sortQuery Optional
+ * @param {Function} callback Signature: err, doc (a pointer to the document in the indexes, or null if no document matched)
+ *
+ * @api private
+ */
+Datastore.prototype._findFirst = function (query, sortQuery, callback) {
+  var cursor = new Cursor(this, query);
+
+  if (sortQuery) { cursor.sort(sortQuery); }
+  cursor.limit(1)._exec(function (err, docs) {
+    if (err) { return callback(err); }
+    return callback(null, docs.length === 1 ? docs[0] : null);
+  });
 };
 
 
@@ -669,37 +1369,147 @@ Datastore.prototype.update = function () {
  */
 Datastore.prototype._remove = function (query, options, cb) {
   var callback
-    , self = this, numRemoved = 0, removedDocs = [], multi
+    , self = this
     ;
 
   if (typeof options === 'function') { cb = options; options = {}; }
   callback = cb || function () {};
-  multi = options.multi !== undefined ? options.multi : false;
+
+  this._removeFromCache(query, options, function (err, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+      self._queueOnDelete(result.changes);
+
+      self._runPostHooks(result.postHooks, function (err) {
+        if (err) { return callback(err); }
+        return callback(null, result.removedDocs.length);
+      });
+    });
+  });
+};
+
+
+/**
+ * Remove all docs matching the query from the cached database (i.e. all indexes) without persisting it, after running the pre remove hooks
+ * Same parameters as _remove except the callback, and options.sort: without multi, the document to remove is the first one
+ * matching the query (as modified by the pre hooks) according to this sort query
+ * @param {Function} callback Signature: err, result
+ *                            result.removedDocs Removed documents
+ *                            result.toPersist Deletion markers to persist with persistNewState
+ *                            result.changes Changes to notify with _notifyChanges once persisted
+ *                            result.postHooks Post hooks to run with _runPostHooks once persisted
+ *
+ * @api private
+ */
+Datastore.prototype._removeFromCache = function (query, options, callback) {
+  var self = this, multi
+    , context = { query: query, options: options }
+    ;
+
+  function removeMatching (query) {
+    self[self.softDeleteField ? '_softDeleteMatchingInCache' : '_removeMatchingFromCache'](query, multi, removed);
+  }
+
+  function removed (err, result) {
+    if (err) { return callback(err); }
+
+    try {
+      self.checkOnDelete(result.removedDocs);
+    } catch (e) {
+      self._revertChanges(result.changes);
+      return callback(e);
+    }
+
+    // The post hooks share the context of the pre hooks, with the removed documents
+    result.postHooks = [];
+    if (self.hooks.post.remove.length > 0) {
+      context.result = { removedDocs: model.deepCopy(result.removedDocs) };
+      result.postHooks.push({ operation: 'remove', context: context });
+    }
+
+    return callback(null, result);
+  }
+
+  this._runHooks('pre', 'remove', context, function (err) {
+    if (err) { return callback(err); }
+
+    options = context.options || {};
+    multi = options.multi !== undefined ? options.multi : false;
+    if (multi || !options.sort) { return removeMatching(context.query); }
+
+    self._findFirst(context.query, options.sort, function (err, doc) {
+      if (err) { return callback(err); }
+      if (!doc) { return removed(null, { removedDocs: [], toPersist: [], changes: [] }); }
+      return removeMatching({ _id: doc._id });
+    });
+  });
+};
+
+
+/**
+ * Remove the first doc (or all docs if multi is true) matching the query from the cached database, without running any hook
+ * @param {Function} callback Same as _removeFromCache, without result.postHooks
+ *
+ * @api private
+ */
+Datastore.prototype._removeMatchingFromCache = function (query, multi, callback) {
+  var self = this, removedDocs = [], toPersist = []
+    ;
 
   this.getCandidates(query, true, function (err, candidates) {
     if (err) { return callback(err); }
 
     try {
       candidates.forEach(function (d) {
-        if (model.match(d, query) && (multi || numRemoved === 0)) {
-          numRemoved += 1;
-          removedDocs.push({ $$deleted: true, _id: d._id });
+        if (model.match(d, query) && (multi || removedDocs.length === 0)) {
+          removedDocs.push(d);
+          toPersist.push({ $$deleted: true, _id: d._id });
           self.removeFromIndexes(d);
         }
       });
     } catch (err) { return callback(err); }
 
-    self.persistence.persistNewState(removedDocs, function (err) {
-      if (err) { return callback(err); }
-      return callback(null, numRemoved);
-    });
+    return callback(null, { removedDocs: removedDocs, toPersist: toPersist, changes: _.map(removedDocs, function (doc) { return { type: 'remove', doc: doc }; }) });
   });
 };
 
+/**
+ * Remove all docs matching the query, see _remove for the signature
+ * If no callback is given, a Promise resolving with numRemoved is returned
+ */
 Datastore.prototype.remove = function () {
-  this.executor.push({ this: this, fn: this._remove, arguments: arguments });
+  return this.executor.pushWithPromise({ this: this, fn: this._remove, arguments: arguments });
+};
+
+
+/**
+ * Undo changes made to the cached database, last one first, as returned by the functions which apply writes to the cache
+ * @param {Array} changes Insertions are removed from the indexes, updates are reverted and removed documents are added back
+ *
+ * @api private
+ */
+Datastore.prototype._revertChanges = function (changes) {
+  changes.slice().reverse().forEach(function (change) {
+    switch (change.type) {
+      case 'insert':
+        this.removeFromIndexes(change.doc);
+        break;
+      case 'update':
+        Object.keys(this.indexes).forEach(function (fieldName) { this.indexes[fieldName].revertUpdate(change.oldDoc, change.doc); }, this);
+        break;
+      case 'remove':
+        this.addToIndexes(change.doc);
+        break;
+    }
+  }, this);
 };
 
 
 
 module.exports = Datastore;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.ForeignKeyError = ForeignKeyError;
+module.exports.Database = require('./database');   // Which requires Datastore when it creates a collection, so it can be required first
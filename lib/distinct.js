@@ -0,0 +1,71 @@
+/**
+ * distinct, the distinct values of a field among the documents matching a query
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var model = require('./model')
+  , util = require('util')
+  , Cursor = require('./cursor')
+  ;
+
+
+/**
+ * Get the distinct values of a field among the documents matching the query
+ * As for indexes, if the field is an array each of its elements is a distinct value, and documents for which the field is
+ * undefined are ignored. Values are returned sorted, and two values are considered equal if model.compareThings says so
+ * If the query is empty and the field is indexed, the values are read directly from the index without looking at the documents,
+ * unless documents can be expired or soft deleted
+ * @param {String} field Can use the dot notation
+ * @param {Object} query Optional, MongoDB-style query
+ * @param {Function} cb Optional callback, signature: err, values
+ *
+ * @api private Use Datastore.distinct which has the same signature
+ */
+function _distinct (field, query, cb) {
+  var callback
+    , self = this
+    ;
+
+  if (typeof query === 'function') { cb = query; query = {}; }
+  callback = cb || function () {};
+  query = query || {};
+
+  // TTL indexes are not used here since expired documents need to be removed by getCandidates first, and the index
+  // has the values of the soft deleted documents too
+  if (Object.keys(query).length === 0 && this.indexes[field] && Object.keys(this.ttlIndexes).length === 0 && !this.softDeleteField) {
+    return callback(null, model.deepCopy(this.indexes[field].getKeys()));
+  }
+
+  new Cursor(this, query)._exec(function (err, docs) {
+    var values = [], res = [];
+
+    if (err) { return callback(err); }
+
+    docs.forEach(function (doc) {
+      var value = model.getDotValue(doc, field);
+
+      if (util.isArray(value)) {
+        value.forEach(function (v) { if (v !== undefined) { values.push(v); } });
+      } else if (value !== undefined) {
+        values.push(value);
+      }
+    });
+
+    values.sort(function (a, b) { return model.compareThings(a, b); });
+    values.forEach(function (v) {
+      if (res.length === 0 || model.compareThings(res[res.length - 1], v) !== 0) { res.push(v); }
+    });
+
+    return callback(null, model.deepCopy(res));
+  });
+}
+
+function distinct () {
+  return this.executor.pushWithPromise({ this: this, fn: this._distinct, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports._distinct = _distinct;
+module.exports.distinct = distinct;
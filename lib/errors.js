@@ -0,0 +1,55 @@
+/**
+ * Errors which callers may need to recognize with instanceof
+ * Like all other errors of NeDB they also have an errorType field
+ */
+
+var util = require('util');
+
+
+/**
+ * An update with the ifVersion option matched a document whose version is not the expected one,
+ * i.e. it was modified since it was read. See the versionKey option of Datastore
+ * @param {Any} _id _id of the document
+ * @param {Number} expectedVersion Version given in the ifVersion option
+ * @param {Number} currentVersion Version of the stored document
+ */
+function VersionConflictError (_id, expectedVersion, currentVersion) {
+  Error.call(this);
+  if (Error.captureStackTrace) { Error.captureStackTrace(this, VersionConflictError); }
+
+  this.name = 'VersionConflictError';
+  this.message = "Version conflict on document " + _id + ": expected version " + expectedVersion + " but it is " + currentVersion;
+  this.errorType = 'versionConflict';
+  this._id = _id;
+  this.expectedVersion = expectedVersion;
+  this.currentVersion = currentVersion;
+}
+
+util.inherits(VersionConflictError, Error);
+
+
+/**
+ * A write would break a foreign key, see Datastore.addForeignKey: a document references a parent document which doesn't exist,
+ * or a removed document is still referenced by documents whose foreign key has the onDelete action 'restrict'
+ * @param {String} message
+ * @param {String} fieldName Field containing the references
+ * @param {Any} value The reference
+ */
+function ForeignKeyError (message, fieldName, value) {
+  Error.call(this);
+  if (Error.captureStackTrace) { Error.captureStackTrace(this, ForeignKeyError); }
+
+  this.name = 'ForeignKeyError';
+  this.message = message;
+  this.errorType = 'foreignKeyViolation';
+  this.fieldName = fieldName;
+  this.value = value;
+}
+
+util.inherits(ForeignKeyError, Error);
+
+
+
+// Interface
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.ForeignKeyError = ForeignKeyError;
@@ -6,9 +6,15 @@ var async = require('async')
   ;
 
 function Executor () {
+  var self = this;
+
   this.buffer = [];
   this.ready = false;
 
+  // Optional, signature: callback. Called once each task is done, without making the next task wait for it, and the
+  // callback of the task is only called after it, with its error if the task succeeded. Used for the onDelete actions of foreign keys
+  this.afterTask = null;
+
   // This queue will execute all commands, one-by-one in order
   this.queue = async.queue(function (task, cb) {
     var newArguments = [];
@@ -21,19 +27,25 @@ function Executor () {
     if (typeof lastArg === 'function') {
       // Callback was supplied
       newArguments[newArguments.length - 1] = function () {
+        var args = arguments;
+
         if (typeof setImmediate === 'function') {
            setImmediate(cb);
         } else {
           process.nextTick(cb);
         }
-        lastArg.apply(null, arguments);
+        if (!self.afterTask) { return lastArg.apply(null, args); }
+        self.afterTask(function (err) {
+          if (err && !args[0]) { return lastArg(err); }
+          lastArg.apply(null, args);
+        });
       };
     } else if (!lastArg && task.arguments.length !== 0) {
       // false/undefined/null supplied as callbback
-      newArguments[newArguments.length - 1] = function () { cb(); };
+      newArguments[newArguments.length - 1] = function () { if (self.afterTask) { self.afterTask(function () {}); } cb(); };
     } else {
       // Nothing supplied as callback
-      newArguments.push(function () { cb(); });
+      newArguments.push(function () { if (self.afterTask) { self.afterTask(function () {}); } cb(); });
     }
 
 
@@ -61,6 +73,32 @@ Executor.prototype.push = function (task, forceQueuing) {
 };
 
 
+/**
+ * Same as push, but if no callback was supplied as the task's last argument, return a Promise settled by the task
+ * @param {Object} task Same as push, plus
+ *                 task.resultNames - Optional, see Executor.promisify
+ * @param {Boolean} forceQueuing Same as push
+ * @return {Promise} Or undefined if a callback was supplied
+ */
+Executor.prototype.pushWithPromise = function (task, forceQueuing) {
+  var self = this
+    , lastArg = task.arguments[task.arguments.length - 1]
+    , newArguments = []
+    , i
+    ;
+
+  if (typeof lastArg === 'function') { return this.push(task, forceQueuing); }
+
+  // As in the queue, a falsy last argument is considered to be the callback
+  for (i = 0; i < task.arguments.length; i += 1) { newArguments.push(task.arguments[i]); }
+  if (newArguments.length > 0 && !lastArg) { newArguments.pop(); }
+
+  return Executor.promisify(function () {
+    self.push({ this: task.this, fn: task.fn, arguments: arguments }, forceQueuing);
+  }, null, newArguments, task.resultNames);
+};
+
+
 /**
  * Queue all tasks in buffer (in the same order they came in)
  * Automatically sets executor as ready
@@ -74,5 +112,31 @@ Executor.prototype.processBuffer = function () {
 
 
 
+/**
+ * Call fn with args followed by a callback that settles the returned Promise
+ * @param {Function} fn Function taking a node-style callback as last argument
+ * @param {Object} thisArg Object to use as this
+ * @param {Array} args Arguments to call fn with, except the callback
+ * @param {Array} resultNames Optional, if set the Promise resolves with an object whose keys are these names
+ *                            and values the results passed to the callback. Otherwise it resolves with the first result
+ * @return {Promise}
+ */
+Executor.promisify = function (fn, thisArg, args, resultNames) {
+  return new Promise(function (resolve, reject) {
+    fn.apply(thisArg, args.concat(function (err) {
+      var res, i;
+
+      if (err) { return reject(err); }
+      if (!resultNames) { return resolve(arguments[1]); }
+
+      res = {};
+      for (i = 0; i < resultNames.length; i += 1) { res[resultNames[i]] = arguments[i + 1]; }
+      return resolve(res);
+    }));
+  });
+};
+
+
+
 // Interface
 module.exports = Executor;
@@ -0,0 +1,127 @@
+/**
+ * Find and modify: findOneAndUpdate and findOneAndDelete find a document and update or remove it in the same executor task
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var model = require('./model')
+  , Cursor = require('./cursor')
+  ;
+
+
+/**
+ * Find the first document matching query according to the sort order, update it and return it
+ * The find and the update happen in the same executor task so no other operation can happen in between, after the pre update hooks
+ * @param {Object} query
+ * @param {Object} updateQuery Same as update, a new document or a set of modifiers
+ * @param {Object} options Optional options
+ *                 options.sort Optional, MongoDB-style sort query used to choose the document to update if several match
+ *                 options.projection Optional, MongoDB-style projection applied to the returned document
+ *                 options.upsert If true, document is inserted if the query doesn't match anything (defaults to false)
+ *                 options.returnOriginal Defaults to true, return the document as it was before the update. If false, return the updated document
+ *                 options.ifVersion Optional, same as in Datastore.update
+ * @param {Function} cb Optional callback, signature: err, doc
+ *                      doc is null if no document matched (once the pre hooks modified the query), or if a document was upserted and returnOriginal is true
+ *
+ * @api private Use Datastore.findOneAndUpdate which has the same signature
+ */
+function _findOneAndUpdate (query, updateQuery, options, cb) {
+  var callback
+    , self = this
+    , returnOriginal
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+  returnOriginal = options.returnOriginal !== undefined ? options.returnOriginal : true;
+
+  // The document is chosen after the pre hooks ran, they can change which one matches or prevent the update
+  this._updateInCache(query, updateQuery, { upsert: options.upsert, ifVersion: options.ifVersion, sort: options.sort }, function (err, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+
+      self._runPostHooks(result.postHooks, function (err) {
+        var doc = null;
+
+        if (err) { return callback(err); }
+
+        if (result.upsertedDoc) {
+          if (!returnOriginal) { doc = result.upsertedDoc; }
+        } else if (result.numMatched > 0) {
+          // A document the update didn't change has no change, it is its own original
+          doc = returnOriginal && result.changes.length > 0 ? result.changes[0].oldDoc : result.updatedDocs[0];
+        }
+
+        if (!doc) { return callback(null, null); }
+        try {
+          return callback(null, new Cursor(self, {}).projection(options.projection).project([model.deepCopy(doc)])[0]);
+        } catch (e) {
+          return callback(e);
+        }
+      });
+    });
+  });
+}
+
+function findOneAndUpdate () {
+  return this.executor.pushWithPromise({ this: this, fn: this._findOneAndUpdate, arguments: arguments });
+}
+
+
+/**
+ * Find the first document matching query according to the sort order, remove it and return it
+ * The find and the removal happen in the same executor task so no other operation can happen in between, after the pre remove hooks
+ * @param {Object} query
+ * @param {Object} options Optional options
+ *                 options.sort Optional, MongoDB-style sort query used to choose the document to remove if several match
+ *                 options.projection Optional, MongoDB-style projection applied to the returned document
+ * @param {Function} cb Optional callback, signature: err, doc (null if no document matched)
+ *
+ * @api private Use Datastore.findOneAndDelete which has the same signature
+ */
+function _findOneAndDelete (query, options, cb) {
+  var callback
+    , self = this
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+
+  // The document is chosen after the pre hooks ran, they can change which one matches or prevent the removal
+  this._removeFromCache(query, { sort: options.sort }, function (err, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+      self._queueOnDelete(result.changes);
+
+      self._runPostHooks(result.postHooks, function (err) {
+        var change = result.changes[0];
+
+        if (err) { return callback(err); }
+        if (!change) { return callback(null, null); }
+        try {
+          // With soft delete the change is an update, the document is returned as it was before its deletion marker was set
+          return callback(null, new Cursor(self, {}).projection(options.projection).project([model.deepCopy(change.oldDoc || change.doc)])[0]);
+        } catch (e) {
+          return callback(e);
+        }
+      });
+    });
+  });
+}
+
+function findOneAndDelete () {
+  return this.executor.pushWithPromise({ this: this, fn: this._findOneAndDelete, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports._findOneAndUpdate = _findOneAndUpdate;
+module.exports.findOneAndUpdate = findOneAndUpdate;
+module.exports._findOneAndDelete = _findOneAndDelete;
+module.exports.findOneAndDelete = findOneAndDelete;
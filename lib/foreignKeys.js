@@ -0,0 +1,236 @@
+/**
+ * Foreign keys between datastores, see lib/references.js: inserts and updates are checked against the documents of the
+ * parent datastore, and the removals of parent documents are restricted, cascaded or set their references to null.
+ * The onDelete actions are applied once the removal is persisted, before its callback, see the afterTask of the executor
+ * They are separate writes, so they are not atomic with the removal and not crash-safe: a crash between the two leaves documents
+ * referencing a removed parent, which nothing cascades to again when the datastores are reloaded
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var model = require('./model')
+  , async = require('async')
+  , _ = require('underscore')
+  , references = require('./references')
+  , ForeignKeyError = require('./errors').ForeignKeyError
+  ;
+
+
+/**
+ * Declare that a field references the documents of a parent datastore: inserts and updates setting it to a value which no document of
+ * the parent has in parentField are rejected, and onDelete says what happens to the documents referencing a removed parent document
+ * Existing documents are not checked. The checks read the documents of the other datastore without waiting for its executor,
+ * and are refused while it isn't loaded (see checkLoaded), so load the datastores linked by foreign keys before writing to them
+ * @param {Object} options
+ *                 options.fieldName Field containing the references, can use the dot notation. If it is an array, each of its elements is a reference.
+ *                                   undefined and null don't reference anything
+ *                 options.parent Datastore containing the referenced documents, can be this datastore
+ *                 options.parentField Optional, field of the parent documents which the references match, defaults to _id. Index it if it isn't _id
+ *                 options.onDelete Optional, 'restrict' (default) to reject the removal of parent documents which are still referenced,
+ *                                  'cascade' to also remove the documents referencing them, 'setNull' to set their field to null
+ */
+function addForeignKey (options) {
+  var Datastore = require('./datastore')   // Not required with the others since it requires this module
+    , foreignKey
+    ;
+
+  options = options || {};
+  if (typeof options.fieldName !== 'string' || options.fieldName.length === 0 || options.fieldName[0] === '$') { throw new Error("Cannot add a foreign key without a fieldName"); }
+  if (!(options.parent instanceof Datastore)) { throw new Error("The parent of a foreign key must be a datastore"); }
+  if (options.onDelete !== undefined && ['restrict', 'cascade', 'setNull'].indexOf(options.onDelete) === -1) { throw new Error("onDelete must be 'restrict', 'cascade' or 'setNull'"); }
+
+  this.removeForeignKey(options.fieldName);
+  foreignKey = { db: this, fieldName: options.fieldName, parent: options.parent, parentField: options.parentField || '_id', onDelete: options.onDelete || 'restrict' };
+  this.foreignKeys[options.fieldName] = foreignKey;
+  options.parent.referencingKeys.push(foreignKey);
+}
+
+
+/**
+ * Remove a foreign key, if there is one on this field
+ * @param {String} fieldName
+ */
+function removeForeignKey (fieldName) {
+  var foreignKey = this.foreignKeys[fieldName];
+
+  if (!foreignKey) { return; }
+
+  delete this.foreignKeys[fieldName];
+  foreignKey.parent.referencingKeys = _.without(foreignKey.parent.referencingKeys, foreignKey);
+}
+
+
+/**
+ * Check that the other datastore of a foreign key is loaded, since its cached documents are read without going through its executor
+ * @param {Datastore} db
+ * @param {Object} foreignKey
+ * Throws an error of type 'foreignKeyNotLoaded' if it isn't
+ */
+function checkLoaded (db, foreignKey) {
+  var err;
+
+  if (db.executor.ready) { return; }
+
+  err = new Error("Can't check the foreign key on field " + foreignKey.fieldName + " before the datastores it links are loaded");
+  err.errorType = 'foreignKeyNotLoaded';
+  throw err;
+}
+
+
+/**
+ * Check that the references of documents about to be inserted or updated exist in their parent datastores
+ * @param {Array} docs
+ * @param {Array} oldDocs Optional, the previous versions of updated documents. References which didn't change are not checked
+ * Throws a ForeignKeyError, or a 'foreignKeyNotLoaded' error if a parent datastore isn't loaded
+ */
+function checkForeignKeys (docs, oldDocs) {
+  var self = this;
+
+  _.values(this.foreignKeys).forEach(function (foreignKey) {
+    docs.forEach(function (doc, i) {
+      var oldValues = oldDocs ? references.getReferences(oldDocs[i], foreignKey.fieldName) : [];
+
+      if (self.isSoftDeleted(doc)) { return; }
+
+      references.getReferences(doc, foreignKey.fieldName).forEach(function (v) {
+        if (_.any(oldValues, function (oldValue) { return model.areThingsEqual(oldValue, v); })) { return; }
+        checkLoaded(foreignKey.parent, foreignKey);
+        if (references.findInCache(foreignKey.parent, foreignKey.parentField, [v]).length === 0) {
+          throw new ForeignKeyError("Field " + foreignKey.fieldName + " of document " + doc._id + " references " + v + ", which no parent document has in field " + foreignKey.parentField
+                                   , foreignKey.fieldName, v);
+        }
+      });
+    });
+  });
+}
+
+
+/**
+ * Check that documents just removed from the cached database are not referenced by documents whose foreign key has the onDelete
+ * action 'restrict', including through the documents the removal cascades to
+ * @param {Array} removedDocs
+ * @param {Array} removing Optional, the documents the removal already cascades to, so that cycles of references end
+ * Throws a ForeignKeyError, or a 'foreignKeyNotLoaded' error if a referencing datastore isn't loaded
+ */
+function checkOnDelete (removedDocs, removing) {
+  var self = this;
+
+  removing = removing || [];
+
+  this.referencingKeys.forEach(function (foreignKey) {
+    var values = references.getRemovedValues(self, removedDocs, foreignKey.parentField, removing)
+      , children
+      ;
+
+    if (values.length === 0 || foreignKey.onDelete === 'setNull') { return; }
+
+    checkLoaded(foreignKey.db, foreignKey);
+    children = _.difference(references.findInCache(foreignKey.db, foreignKey.fieldName, values), removing);
+    if (children.length === 0) { return; }
+
+    if (foreignKey.onDelete === 'restrict') {
+      throw new ForeignKeyError("Cannot remove a document referenced by " + children.length + " document(s) in field " + foreignKey.fieldName
+                               , foreignKey.fieldName, references.getValues(children, foreignKey.fieldName)[0]);
+    }
+
+    removing = removing.concat(children);
+    foreignKey.db.checkOnDelete(children, removing);
+  });
+}
+
+
+/**
+ * Queue the onDelete actions of the foreign keys referencing documents whose removal was just persisted
+ * They are applied once the current task is done, see _applyPendingOnDelete
+ * @param {Array} changes As given to _notifyChanges, removals and soft deletions are the ones which matter
+ *
+ * @api private
+ */
+function _queueOnDelete (changes) {
+  this.pendingOnDelete = this.pendingOnDelete.concat(this._getOnDelete(changes));
+}
+
+
+/**
+ * Get the onDelete actions of the foreign keys referencing documents just removed from the cached database
+ * @param {Array} changes Same as _queueOnDelete
+ * @return {Array} Actions { foreignKey, values }, values being the references to the removed documents
+ *
+ * @api private
+ */
+function _getOnDelete (changes) {
+  var self = this
+    , removedDocs = []
+    , actions = []
+    ;
+
+  changes.forEach(function (change) {
+    if (change.type === 'remove' || (change.type === 'update' && self.isSoftDeleted(change.doc) && !self.isSoftDeleted(change.oldDoc))) {
+      removedDocs.push(change.doc);
+    }
+  });
+  if (removedDocs.length === 0) { return actions; }
+
+  this.referencingKeys.forEach(function (foreignKey) {
+    var values = references.getRemovedValues(self, removedDocs, foreignKey.parentField);
+    if (values.length > 0 && foreignKey.onDelete !== 'restrict') { actions.push({ foreignKey: foreignKey, values: values }); }
+  });
+
+  return actions;
+}
+
+
+/**
+ * Apply the onDelete actions queued by the task which just ended, called by the executor (see Executor.afterTask)
+ * The removals ('cascade') or updates ('setNull') of the referencing documents are pushed to the executors of their datastores
+ * once the task is done, so that datastores never wait for each other (a datastore can reference itself). The callback of the
+ * task is only called once they are done, and if one of them fails it is given its error even though the removal of the parent
+ * documents was persisted
+ * @param {Function} callback Signature: err. Called synchronously if there is nothing to apply
+ *
+ * @api private
+ */
+function _applyPendingOnDelete (callback) {
+  var actions = this.pendingOnDelete;
+
+  this.pendingOnDelete = [];
+  this._applyOnDelete(actions, callback);
+}
+
+
+/**
+ * Apply onDelete actions as returned by _getOnDelete, one after the other
+ * @param {Array} actions
+ * @param {Function} callback Signature: err, the error of the first action which failed. Called synchronously if there is no action
+ *
+ * @api private
+ */
+function _applyOnDelete (actions, callback) {
+  if (actions.length === 0) { return callback(null); }
+
+  async.eachSeries(actions, function (action, cb) {
+    var foreignKey = action.foreignKey
+      , query = {}
+      , modifier = { $set: {} }
+      ;
+
+    query[foreignKey.fieldName] = { $in: action.values };
+    if (foreignKey.onDelete === 'cascade') {
+      foreignKey.db.remove(query, { multi: true }, function (err) { return cb(err); });
+    } else {
+      modifier.$set[foreignKey.fieldName] = null;
+      foreignKey.db.update(query, modifier, { multi: true }, function (err) { return cb(err); });
+    }
+  }, function (err) { return callback(err || null); });
+}
+
+
+
+// Interface
+module.exports.addForeignKey = addForeignKey;
+module.exports.removeForeignKey = removeForeignKey;
+module.exports.checkForeignKeys = checkForeignKeys;
+module.exports.checkOnDelete = checkOnDelete;
+module.exports._queueOnDelete = _queueOnDelete;
+module.exports._getOnDelete = _getOnDelete;
+module.exports._applyPendingOnDelete = _applyPendingOnDelete;
+module.exports._applyOnDelete = _applyOnDelete;
@@ -0,0 +1,119 @@
+/**
+ * History of the documents, with the keepHistory option of the datastore: each persisted version of a document is
+ * recorded as a numbered revision, a removal as a revision whose doc is null, and they are written to the datafile
+ * as $$revision lines, which only hold the document at compaction: appended ones follow the line of their document.
+ * history lists them and revert writes an old version again
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var model = require('./model')
+  , _ = require('underscore')
+  ;
+
+
+function revisionsKey (_id) {
+  return model.serialize({ _id: _id });
+}
+
+/**
+ * With the keepHistory option, add a revision for each new version of a document about to be persisted, and a revision
+ * whose doc is null for each removed document, so that it can be reverted
+ * @param {Array} newDocs Lines given to Persistence.persistNewState, only documents and deletion markers are taken into account
+ * @return {Array} The new revisions { _id, revision, date, doc }, to persist after newDocs
+ */
+function _recordRevisions (newDocs) {
+  var self = this
+    , res = []
+    , now = new Date()
+    ;
+
+  newDocs.forEach(function (doc) {
+    var key, revisions, revision;
+
+    if (doc._id === undefined) { return; }
+
+    key = revisionsKey(doc._id);
+    revisions = self.revisions[key] = self.revisions[key] || [];
+    revision = { _id: doc._id, revision: revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1, date: now
+               , doc: doc.$$deleted === true ? null : doc };
+    revisions.push(revision);
+    if (self.maxRevisions && revisions.length > self.maxRevisions) { revisions.shift(); }
+    res.push(revision);
+  });
+
+  return res;
+}
+
+
+/**
+ * Get the revisions of a document, only with the keepHistory option
+ * @param {Any} _id
+ * @param {Number} options.limit Optional, maximum number of revisions to return
+ * @param {Function} cb Optional callback, signature: err, revisions
+ *                      revisions is an array of { revision, date, doc }, newest first, the first one being the current version of the
+ *                      document (or its removal, whose doc is null). revision is the number of the revision, starting at 1, and date is
+ *                      when it was written. Empty if there never was such a document
+ *
+ * @api private Use Datastore.history which has the same signature
+ */
+function _history (_id, options, cb) {
+  var callback, revisions;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+  options = options || {};
+
+  if (!this.keepHistory) { return callback(new Error("history can only be used with the keepHistory option")); }
+
+  revisions = (this.revisions[revisionsKey(_id)] || []).slice().reverse();
+  if (options.limit) { revisions = revisions.slice(0, options.limit); }
+
+  return callback(null, _.map(revisions, function (r) { return { revision: r.revision, date: r.date, doc: model.deepCopy(r.doc) }; }));
+}
+
+function history () {
+  return this.executor.pushWithPromise({ this: this, fn: this._history, arguments: arguments });
+}
+
+
+/**
+ * Restore a revision of a document, by replacing the document with its contents. This is an update, so it
+ * creates a new revision and runs the update hooks, and the timestamps and version are handled as in any update
+ * If the document was removed, it is inserted again instead, running the insert hooks
+ * @param {Any} _id
+ * @param {Number} revision
+ * @param {Function} cb Optional callback, signature: err, doc (the new version of the document)
+ *
+ * @api private Use Datastore.revert which has the same signature
+ */
+function _revert (_id, revision, cb) {
+  var callback = cb || function () {}
+    , found
+    ;
+
+  if (!this.keepHistory) { return callback(new Error("revert can only be used with the keepHistory option")); }
+
+  found = _.find(this.revisions[revisionsKey(_id)] || [], function (r) { return r.revision === revision; });
+  if (!found) { return callback(new Error("Document " + _id + " has no revision " + revision)); }
+  if (found.doc === null) { return callback(new Error("Revision " + revision + " of document " + _id + " is its removal")); }
+
+  if (this.indexes._id.getMatching(_id).length === 0) { return this._insert(model.deepCopy(found.doc), callback); }
+
+  this._update({ _id: _id }, model.deepCopy(found.doc), { returnUpdatedDocs: true }, function (err, numAffected, doc) {
+    if (err) { return callback(err); }
+    return callback(null, doc);
+  });
+}
+
+function revert () {
+  return this.executor.pushWithPromise({ this: this, fn: this._revert, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports._recordRevisions = _recordRevisions;
+module.exports._history = _history;
+module.exports.history = history;
+module.exports._revert = _revert;
+module.exports.revert = revert;
@@ -0,0 +1,101 @@
+/**
+ * Middleware hooks, registered with pre and post and run in the executor task of the operations
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var model = require('./model')
+  , async = require('async')
+  , _ = require('underscore')
+  ;
+
+
+/**
+ * Register a middleware hook, run in the executor task of the operation
+ * @param {String} operation One of 'insert', 'update', 'remove' and 'find'
+ * @param {Function} fn Signature: context, next. this is the datastore
+ *                      Call next(err) once done, or don't declare next for a synchronous hook. Passing an error to next
+ *                      (or throwing) rejects the operation with it. See the README for the context of each operation
+ *                      A hook mustn't use the functions of this datastore which go through the executor, as they would wait for the operation
+ */
+function pre (operation, fn) {
+  this._addHook('pre', operation, fn);
+}
+
+function post (operation, fn) {
+  this._addHook('post', operation, fn);
+}
+
+function _addHook (kind, operation, fn) {
+  if (!this.hooks[kind].hasOwnProperty(operation)) { throw new Error("Can't register a hook for unknown operation " + operation); }
+  if (typeof fn !== 'function') { throw new Error("A hook must be a function"); }
+  this.hooks[kind][operation].push(fn);
+}
+
+
+/**
+ * Run the hooks registered for an operation, in order, stopping at the first error
+ * @param {String} kind 'pre' or 'post'
+ * @param {String} operation
+ * @param {Object} context Given to every hook, which can modify it
+ * @param {Function} callback Signature: err
+ *
+ * @api private
+ */
+function _runHooks (kind, operation, context, callback) {
+  var self = this
+    , hooks = this.hooks[kind][operation]
+    ;
+
+  if (hooks.length === 0) { return callback(null); }
+
+  async.eachSeries(hooks, function (hook, cb) {
+    if (hook.length < 2) {
+      try {
+        hook.call(self, context);
+      } catch (e) {
+        return cb(e);
+      }
+      return cb();
+    }
+
+    hook.call(self, context, function (err) { return cb(err); });
+  }, function (err) {
+    // Synchronous hooks run for many documents mustn't make the stack grow
+    async.setImmediate(function () { return callback(err || null); });
+  });
+}
+
+
+/**
+ * Run the post hooks of a write once it was persisted
+ * @param {Array} postHooks Array of { operation, context } as returned by the functions which apply writes to the cache
+ * @param {Function} callback Signature: err
+ *
+ * @api private
+ */
+function _runPostHooks (postHooks, callback) {
+  var self = this;
+
+  async.eachSeries(postHooks, function (postHook, cb) {
+    self._runHooks('post', postHook.operation, postHook.context, cb);
+  }, function (err) { return callback(err || null); });
+}
+
+
+/**
+ * Describe the post hooks to run after inserting docs, with copies of the documents
+ */
+function _insertPostHooks (docs) {
+  if (this.hooks.post.insert.length === 0) { return []; }
+  return _.map(docs, function (doc) { return { operation: 'insert', context: { doc: model.deepCopy(doc) } }; });
+}
+
+
+
+// Interface
+module.exports.pre = pre;
+module.exports.post = post;
+module.exports._addHook = _addHook;
+module.exports._runHooks = _runHooks;
+module.exports._runPostHooks = _runPostHooks;
+module.exports._insertPostHooks = _insertPostHooks;
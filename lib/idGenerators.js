@@ -0,0 +1,94 @@
+/**
+ * Built-in strategies to generate the _id of inserted documents, see the idGenerator option of Datastore
+ * * uid - 16 random alphanumerical characters (the default)
+ * * uuidv4 - Random RFC 4122 UUID, e.g. '110ec58a-a0f2-4ac4-8393-c866d813b8d1'
+ * * ulid - 26 characters ULID (https://github.com/ulid/spec), sorted by creation time, and monotonic: ids created
+ *          during the same millisecond are sorted too
+ * * objectid - 24 hex characters MongoDB ObjectId (timestamp in seconds, random value, counter), sorted by creation time
+ */
+
+var customUtils = require('./customUtils')
+  , crockfordBase32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+  , lastUlidTime = -1, lastUlidRandom = []
+  , objectIdRandom = null, objectIdCounter = null
+  ;
+
+
+function toHex (bytes) {
+  var res = '', i;
+  for (i = 0; i < bytes.length; i += 1) { res += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16); }
+  return res;
+}
+
+
+function uid () {
+  return customUtils.uid(16);
+}
+
+
+function uuidv4 () {
+  var bytes = Array.prototype.slice.call(customUtils.randomBytes(16))
+    , hex
+    ;
+
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;   // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;   // RFC 4122 variant
+  hex = toHex(bytes);
+
+  return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+}
+
+
+/**
+ * Within the same millisecond (or if the clock went back) the random part of the previous ULID is incremented
+ * instead of being drawn again, to keep the ids sorted
+ */
+function ulid () {
+  var now = Date.now()
+    , time = '', random = '', bytes, i
+    ;
+
+  if (now <= lastUlidTime) {
+    now = lastUlidTime;
+    for (i = lastUlidRandom.length - 1; i >= 0 && lastUlidRandom[i] === 31; i -= 1) { lastUlidRandom[i] = 0; }
+    if (i < 0) { throw new Error("Can't generate more than 2^80 ULIDs in the same millisecond"); }
+    lastUlidRandom[i] += 1;
+  } else {
+    bytes = customUtils.randomBytes(16);
+    for (i = 0; i < 16; i += 1) { lastUlidRandom[i] = bytes[i] % 32; }
+  }
+  lastUlidTime = now;
+
+  // 48 bits timestamp, which doesn't fit in 32 bits integers so we can't use bitwise operators
+  for (i = 0; i < 10; i += 1) {
+    time = crockfordBase32[now % 32] + time;
+    now = Math.floor(now / 32);
+  }
+  for (i = 0; i < 16; i += 1) { random += crockfordBase32[lastUlidRandom[i]]; }
+
+  return time + random;
+}
+
+
+function objectid () {
+  var seconds = Math.floor(Date.now() / 1000)
+    , bytes
+    ;
+
+  if (objectIdRandom === null) {
+    bytes = customUtils.randomBytes(8);
+    objectIdRandom = toHex(Array.prototype.slice.call(bytes, 0, 5));
+    objectIdCounter = (bytes[5] << 16) + (bytes[6] << 8) + bytes[7];
+  }
+  objectIdCounter = (objectIdCounter + 1) % 0x1000000;
+
+  return ('00000000' + seconds.toString(16)).slice(-8) + objectIdRandom + ('000000' + objectIdCounter.toString(16)).slice(-6);
+}
+
+
+
+// Interface
+module.exports.uid = uid;
+module.exports.uuidv4 = uuidv4;
+module.exports.ulid = ulid;
+module.exports.objectid = objectid;
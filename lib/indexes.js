@@ -288,6 +288,21 @@ Index.prototype.getAll = function () {
 };
 
 
+/**
+ * Get all keys in the index, sorted
+ * Keys are the indexed values, so documents for which the field is an array give one key per array element
+ * undefined, i.e. the key of documents which don't have the field, is not returned
+ * @return {Array of keys}
+ */
+Index.prototype.getKeys = function () {
+  var res = [];
+
+  this.tree.executeOnEveryNode(function (node) {
+    if (node.data.length > 0 && node.key !== undefined) { res.push(node.key); }
+  });
+
+  return res;
+};
 
 
 // Interface
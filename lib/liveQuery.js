@@ -0,0 +1,271 @@
+/**
+ * Live queries, returned by Cursor.observe
+ *
+ * All the documents matching the query are kept, sorted, and the result set is the window given by skip and limit.
+ * Each change record moves at most one document in this list, so the callbacks are computed from its positions
+ * without running the query again
+ */
+
+var model = require('./model')
+  , async = require('async')
+  , ChangeStream = require('./changeStream')
+  ;
+
+
+function idKey (_id) {
+  return model.serialize({ _id: _id });
+}
+
+
+/**
+ * Create a new live query
+ * Don't use directly, use Cursor.observe
+ * @param {Datastore} db
+ * @param {Query} options.query
+ * @param {SortQuery} options.sort Optional. Without it, documents are kept in the order they were found, new ones at the end
+ * @param {Number} options.skip Optional
+ * @param {Number} options.limit Optional
+ * @param {Boolean} options.withDeleted Optional, see Cursor.withDeleted
+ * @param {Function} options.project Function returning the version of a document given to the callbacks
+ * @param {Object} callbacks See Cursor.observe
+ */
+function LiveQuery (db, options, callbacks) {
+  this.db = db;
+  this.query = options.query;
+  this.criteria = options.sort ? Object.keys(options.sort).map(function (key) { return { key: key, direction: options.sort[key] }; }) : null;
+  this.skip = options.skip || 0;
+  this.limit = options.limit || Infinity;
+  this.withDeleted = options.withDeleted || false;
+  this.project = options.project;
+  this.callbacks = callbacks || {};
+  this.docs = [];
+  this.docsById = {};
+  this.stopped = false;
+}
+
+
+/**
+ * Compare two documents with the sort criteria
+ */
+LiveQuery.prototype.compare = function (a, b) {
+  var compare, i;
+
+  for (i = 0; i < this.criteria.length; i += 1) {
+    compare = this.criteria[i].direction * model.compareThings(model.getDotValue(a, this.criteria[i].key), model.getDotValue(b, this.criteria[i].key), this.db.compareStrings);
+    if (compare !== 0) { return compare; }
+  }
+
+  return 0;
+};
+
+
+/**
+ * Whether a document is part of the results
+ */
+LiveQuery.prototype.matches = function (doc) {
+  return model.match(doc, this.query) && (this.withDeleted || !this.db.isSoftDeleted(doc));
+};
+
+
+/**
+ * Position at which a new document goes, after the documents it is equal to
+ */
+LiveQuery.prototype.insertPosition = function (doc) {
+  var low = 0, high = this.docs.length, mid;
+
+  if (!this.criteria) { return this.docs.length; }
+
+  while (low < high) {
+    mid = Math.floor((low + high) / 2);
+    if (this.compare(this.docs[mid], doc) <= 0) { low = mid + 1; } else { high = mid; }
+  }
+
+  return low;
+};
+
+
+/**
+ * Current position of a document of the list
+ */
+LiveQuery.prototype.position = function (doc) {
+  var low = 0, high = this.docs.length, mid;
+
+  if (this.criteria) {
+    while (low < high) {
+      mid = Math.floor((low + high) / 2);
+      if (this.compare(this.docs[mid], doc) < 0) { low = mid + 1; } else { high = mid; }
+    }
+  }
+
+  for (; low < this.docs.length; low += 1) {
+    if (model.areThingsEqual(this.docs[low]._id, doc._id)) { return low; }
+  }
+
+  return -1;
+};
+
+
+LiveQuery.prototype.inWindow = function (position) {
+  return position >= this.skip && position < this.skip + this.limit;
+};
+
+
+/**
+ * Call a callback with projected copies of the documents
+ * Same as event listeners, a throwing callback mustn't prevent the executor from running the next tasks
+ */
+LiveQuery.prototype.call = function (name, doc, arg1, arg2) {
+  if (typeof this.callbacks[name] !== 'function') { return; }
+
+  try {
+    if (name === 'changed') {
+      this.callbacks.changed(model.deepCopy(this.project(doc)), model.deepCopy(this.project(arg1)), arg2);
+    } else {
+      this.callbacks[name](model.deepCopy(this.project(doc)), arg1, arg2);
+    }
+  } catch (e) {
+    async.setImmediate(function () { throw e; });
+  }
+};
+
+
+/**
+ * Insert a document in the list at the given position, and notify the changes to the window:
+ * the document is added to it, or pushes a document into it if it comes before it, and the last document
+ * of the window may be pushed out of it
+ */
+LiveQuery.prototype.insertAt = function (position, doc) {
+  var s = this.skip, l = this.limit;
+
+  this.docs.splice(position, 0, doc);
+  this.docsById[idKey(doc._id)] = doc;
+  if (position >= s + l) { return; }
+
+  if (s + l < this.docs.length) { this.call('removed', this.docs[s + l], l - 1); }
+  if (position >= s) {
+    this.call('added', doc, position - s);
+  } else if (s < this.docs.length) {
+    this.call('added', this.docs[s], 0);
+  }
+};
+
+
+/**
+ * Remove the document at the given position from the list, and notify the changes to the window:
+ * the document is removed from it, or pulls the first document out of it if it came before it, and the document
+ * which came after the window may enter it
+ */
+LiveQuery.prototype.removeAt = function (position) {
+  var s = this.skip, l = this.limit
+    , doc = this.docs[position]
+    ;
+
+  this.docs.splice(position, 1);
+  delete this.docsById[idKey(doc._id)];
+  if (position >= s + l) { return; }
+
+  if (position >= s) {
+    this.call('removed', doc, position - s);
+  } else if (s - 1 < this.docs.length) {
+    this.call('removed', this.docs[s - 1], 0);
+  }
+  if (s + l - 1 < this.docs.length) { this.call('added', this.docs[s + l - 1], l - 1); }
+};
+
+
+/**
+ * Apply a change record
+ */
+LiveQuery.prototype.applyChange = function (record) {
+  var oldDoc = this.docsById[idKey(record.documentKey._id)]
+    , newDoc = record.fullDocument
+    , matches = record.operationType !== 'delete' && this.matches(newDoc)
+    , position, newPosition
+    ;
+
+  if (!oldDoc) {
+    if (matches) { this.insertAt(this.insertPosition(newDoc), newDoc); }
+    return;
+  }
+
+  position = this.position(oldDoc);
+  if (!matches) { return this.removeAt(position); }
+
+  this.docs.splice(position, 1);
+  newPosition = this.insertPosition(newDoc);
+
+  if (this.inWindow(position) && this.inWindow(newPosition)) {
+    // The document stays in the window, so the other documents of the window don't change
+    this.docs.splice(newPosition, 0, newDoc);
+    this.docsById[idKey(newDoc._id)] = newDoc;
+    if (!model.areThingsEqual(this.project(oldDoc), this.project(newDoc))) { this.call('changed', newDoc, oldDoc, position - this.skip); }
+    if (newPosition !== position) { this.call('movedTo', newDoc, position - this.skip, newPosition - this.skip); }
+  } else {
+    this.docs.splice(position, 0, oldDoc);
+    this.removeAt(position);
+    this.insertAt(this.insertPosition(newDoc), newDoc);
+  }
+};
+
+
+/**
+ * Run the query, give the initial results to the added callback and start following the changes
+ * Done in the executor so that no change can be missed or applied twice
+ * @param {Function} cb Signature: err
+ *
+ * @api private Use Cursor.observe
+ */
+LiveQuery.prototype._start = function (cb) {
+  var self = this;
+
+  if (this.stopped) { return cb(null); }
+
+  this.db.getCandidates(this.query, function (err, candidates) {
+    var i;
+
+    if (err) { return cb(err); }
+
+    try {
+      candidates.forEach(function (doc) {
+        if (self.matches(doc)) { self.docs.push(doc); }
+      });
+    } catch (e) {
+      return cb(e);
+    }
+
+    if (self.criteria) { self.docs.sort(function (a, b) { return self.compare(a, b); }); }
+    self.docs.forEach(function (doc) { self.docsById[idKey(doc._id)] = doc; });
+
+    for (i = self.skip; i < Math.min(self.docs.length, self.skip + self.limit); i += 1) {
+      self.call('added', self.docs[i], i - self.skip);
+    }
+
+    self.stream = new ChangeStream(self.db, {});
+    self.stream.on('change', function (record) {
+      try {
+        self.applyChange(record);
+      } catch (e) {
+        // The query threw on this document, we can't keep the result set up to date anymore
+        self.stop();
+        throw e;
+      }
+    });
+    self.db.changeStreams.push(self.stream);
+
+    return cb(null);
+  });
+};
+
+
+/**
+ * Stop following the changes
+ */
+LiveQuery.prototype.stop = function () {
+  this.stopped = true;
+  if (this.stream) { this.stream.close(); }
+};
+
+
+
+// Interface
+module.exports = LiveQuery;
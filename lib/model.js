@@ -65,12 +65,15 @@ function checkObject (obj) {
  * so eval and the like are not safe
  * Accepted primitive types: Number, String, Boolean, Date, null
  * Accepted secondary types: Objects, Arrays
+ * @param {Object} obj
+ * @param {String} marker Optional, top-level field of obj allowed to begin with $, used by the persistence for the
+ *                        lines of the datafile which are not documents (e.g. $$sequence). Documents can't have such fields
  */
-function serialize (obj) {
+function serialize (obj, marker) {
   var res;
 
   res = JSON.stringify(obj, function (k, v) {
-    checkKey(k, v);
+    if (!(marker !== undefined && k === marker && this === obj)) { checkKey(k, v); }
 
     if (v === undefined) { return undefined; }
     if (v === null) { return null; }
@@ -151,6 +154,47 @@ function isPrimitiveType (obj) {
 }
 
 
+/**
+ * Convert a value to the given type, used to coerce fields of inserted documents
+ * null and undefined are left untouched, as are values which already have the right type
+ * @param {Any} value
+ * @param {String} type One of 'number' (from numerical strings), 'date' (from ISO strings and timestamps),
+ *                      'string' (from numbers, booleans and dates) and 'boolean' (from 'true' and 'false')
+ * Throws if the value can't be converted
+ */
+function coerce (value, type) {
+  var res;
+
+  if (value === undefined || value === null) { return value; }
+
+  switch (type) {
+    case 'number':
+      if (typeof value === 'number') { return value; }
+      if (typeof value === 'string' && value.trim().length > 0) { res = Number(value); }
+      if (typeof res === 'number' && !isNaN(res)) { return res; }
+      break;
+    case 'date':
+      if (util.isDate(value)) { return value; }
+      if (typeof value === 'string' || typeof value === 'number') { res = new Date(value); }
+      if (res && !isNaN(res.getTime())) { return res; }
+      break;
+    case 'string':
+      if (typeof value === 'string') { return value; }
+      if (typeof value === 'number' || typeof value === 'boolean') { return String(value); }
+      if (util.isDate(value)) { return value.toISOString(); }
+      break;
+    case 'boolean':
+      if (typeof value === 'boolean') { return value; }
+      if (value === 'true' || value === 'false') { return value === 'true'; }
+      break;
+    default:
+      throw new Error("Unknown type " + type + " for coercion");
+  }
+
+  throw new Error("Can't coerce " + JSON.stringify(value) + " to " + type);
+}
+
+
 /**
  * Utility functions for comparing things
  * Assumes type checking was already done (a and b already have the same type)
@@ -828,6 +872,7 @@ module.exports.deserialize = deserialize;
 module.exports.deepCopy = deepCopy;
 module.exports.checkObject = checkObject;
 module.exports.isPrimitiveType = isPrimitiveType;
+module.exports.coerce = coerce;
 module.exports.modify = modify;
 module.exports.getDotValue = getDotValue;
 module.exports.match = match;
@@ -0,0 +1,188 @@
+/**
+ * MongoDB-style updates and removals: updateOne, updateMany, replaceOne, deleteOne and deleteMany
+ * They use the same cache functions as update and remove but call back with MongoDB's result objects
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var _ = require('underscore');
+
+
+/**
+ * Check that an update query for updateOne/updateMany only contains modifiers, and that a replacement
+ * document for replaceOne doesn't contain any, as MongoDB does
+ * @param {Object} updateQuery
+ * @param {Boolean} isReplacement
+ * @return {Error} Or null if updateQuery is valid
+ */
+function checkUpdateKind (updateQuery, isReplacement) {
+  var keys = Object.keys(updateQuery || {})
+    , modifierKeys = _.filter(keys, function (k) { return k[0] === '$'; })
+    ;
+
+  if (isReplacement && modifierKeys.length > 0) { return new Error("Replacement document must not contain modifiers"); }
+  if (!isReplacement && (keys.length === 0 || modifierKeys.length !== keys.length)) { return new Error("Update document must only contain modifiers"); }
+  return null;
+}
+
+
+/**
+ * Build a MongoDB-style update result from the result of _updateInCache
+ */
+function updateResult (result) {
+  return { matchedCount: result.numMatched
+         , modifiedCount: result.numModified
+         , upsertedCount: result.upsertedDoc ? 1 : 0
+         , upsertedId: result.upsertedDoc ? result.upsertedDoc._id : null
+         };
+}
+
+
+/**
+ * Update the first document (updateOne), all documents (updateMany) matching the query or replace the first one (replaceOne)
+ * These follow MongoDB's API: updateOne and updateMany only accept modifiers and replaceOne only accepts a new document
+ * @param {Object} query
+ * @param {Object} updateQuery
+ * @param {Object} options Optional options
+ *                 options.upsert If true, document is inserted if the query doesn't match anything (defaults to false)
+ *                 options.ifVersion Optional, same as in Datastore.update
+ * @param {Boolean} multi Set by the public function, whether to update all matching documents
+ * @param {Boolean} isReplacement Set by the public function, whether updateQuery is a replacement document
+ * @param {Function} cb Optional callback, signature: err, result
+ *                      result is { matchedCount, modifiedCount, upsertedCount, upsertedId }, modifiedCount doesn't count matched
+ *                      documents the update didn't change and upsertedId is null if there was no upsert
+ *
+ * @api private Use Datastore.updateOne, Datastore.updateMany and Datastore.replaceOne which have the same signature
+ */
+function _updateWithResult (query, updateQuery, options, multi, isReplacement, cb) {
+  var callback
+    , self = this
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+
+  this._updateInCacheWithResult(query, updateQuery, options, multi, isReplacement, function (err, res, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+
+      self._runPostHooks(result.postHooks, function (err) {
+        if (err) { return callback(err); }
+        return callback(null, res);
+      });
+    });
+  });
+}
+
+
+/**
+ * Apply an update of updateOne, updateMany or replaceOne to the cached database with _updateInCache, without persisting it
+ * Same parameters as _updateWithResult except the callback, also used by bulkWrite
+ * @param {Function} callback Signature: err, res, result where res is the MongoDB-style result and result the result of _updateInCache
+ *
+ * @api private
+ */
+function _updateInCacheWithResult (query, updateQuery, options, multi, isReplacement, callback) {
+  var err = checkUpdateKind(updateQuery, isReplacement);
+
+  if (err) { return callback(err); }
+
+  options = options || {};
+  this._updateInCache(query, updateQuery, { multi: multi, upsert: options.upsert, ifVersion: options.ifVersion }, function (err, result) {
+    if (err) { return callback(err); }
+    return callback(null, updateResult(result), result);
+  });
+}
+
+function _updateOne (query, updateQuery, options, cb) {
+  this._updateWithResult(query, updateQuery, options, false, false, cb);
+}
+
+function _updateMany (query, updateQuery, options, cb) {
+  this._updateWithResult(query, updateQuery, options, true, false, cb);
+}
+
+function _replaceOne (query, updateQuery, options, cb) {
+  this._updateWithResult(query, updateQuery, options, false, true, cb);
+}
+
+function updateOne () {
+  return this.executor.pushWithPromise({ this: this, fn: this._updateOne, arguments: arguments });
+}
+
+function updateMany () {
+  return this.executor.pushWithPromise({ this: this, fn: this._updateMany, arguments: arguments });
+}
+
+function replaceOne () {
+  return this.executor.pushWithPromise({ this: this, fn: this._replaceOne, arguments: arguments });
+}
+
+
+/**
+ * Remove the first document (deleteOne) or all documents (deleteMany) matching the query, MongoDB-style
+ * @param {Object} query
+ * @param {Object} options Optional, no option for now, kept for compatibility with MongoDB's signature
+ * @param {Boolean} multi Set by the public function, whether to remove all matching documents
+ * @param {Function} cb Optional callback, signature: err, result where result is { deletedCount }
+ *
+ * @api private Use Datastore.deleteOne and Datastore.deleteMany which have the same signature
+ */
+function _deleteWithResult (query, options, multi, cb) {
+  var callback
+    , self = this
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+
+  this._removeFromCache(query, { multi: multi }, function (err, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+      self._queueOnDelete(result.changes);
+
+      self._runPostHooks(result.postHooks, function (err) {
+        if (err) { return callback(err); }
+        return callback(null, { deletedCount: result.removedDocs.length });
+      });
+    });
+  });
+}
+
+function _deleteOne (query, options, cb) {
+  this._deleteWithResult(query, options, false, cb);
+}
+
+function _deleteMany (query, options, cb) {
+  this._deleteWithResult(query, options, true, cb);
+}
+
+function deleteOne () {
+  return this.executor.pushWithPromise({ this: this, fn: this._deleteOne, arguments: arguments });
+}
+
+function deleteMany () {
+  return this.executor.pushWithPromise({ this: this, fn: this._deleteMany, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports._updateWithResult = _updateWithResult;
+module.exports._updateInCacheWithResult = _updateInCacheWithResult;
+module.exports._updateOne = _updateOne;
+module.exports._updateMany = _updateMany;
+module.exports._replaceOne = _replaceOne;
+module.exports.updateOne = updateOne;
+module.exports.updateMany = updateMany;
+module.exports.replaceOne = replaceOne;
+module.exports._deleteWithResult = _deleteWithResult;
+module.exports._deleteOne = _deleteOne;
+module.exports._deleteMany = _deleteMany;
+module.exports.deleteOne = deleteOne;
+module.exports.deleteMany = deleteMany;
@@ -3,6 +3,9 @@
  * The interface Datastore expects to be implemented is
  * * Persistence.loadDatabase(callback) and callback has signature err
  * * Persistence.persistNewState(newDocs, callback) where newDocs is an array of documents and callback has signature err
+ *
+ * The lines appended by a transaction are wrapped in { $$begin: transactionId } and { $$commit: transactionId } lines,
+ * and treatRawData ignores them if the commit line is missing, e.g. because of a crash during the append
  */
 
 var storage = require('./storage')
@@ -11,6 +14,7 @@ var storage = require('./storage')
   , async = require('async')
   , customUtils = require('./customUtils')
   , Index = require('./indexes')
+  , ChangeStream = require('./changeStream')
   ;
 
 
@@ -115,6 +119,9 @@ Persistence.getNWAppFilename = function (appName, relativeFilename) {
  * Persist cached database
  * This serves as a compaction function since the cache always contains only the number of documents in the collection
  * while the data file is append-only so it may grow larger
+ * The last value of each sequence is written after the indexes, followed by the revisions of the documents if the datastore keeps their history
+ * The token of the last change is written after the documents and indexes unless loading can count it (one change per document),
+ * followed by the retained change records if the datastore retains its change history
  * @param {Function} cb Optional callback, signature: err
  */
 Persistence.prototype.persistCachedDatabase = function (cb) {
@@ -133,6 +140,24 @@ Persistence.prototype.persistCachedDatabase = function (cb) {
       toPersist += self.afterSerialization(model.serialize({ $$indexCreated: { fieldName: fieldName, unique: self.db.indexes[fieldName].unique, sparse: self.db.indexes[fieldName].sparse }})) + '\n';
     }
   });
+  Object.keys(this.db.sequences).forEach(function (name) {
+    toPersist += self.afterSerialization(model.serialize({ $$sequence: { name: name, value: self.db.sequences[name] } }, '$$sequence')) + '\n';
+  });
+  this.db.pendingSequences = {};
+  Object.keys(this.db.revisions).forEach(function (key) {
+    self.db.revisions[key].forEach(function (revision) {
+      toPersist += self.afterSerialization(model.serialize({ $$revision: revision }, '$$revision')) + '\n';
+    });
+  });
+  // Without it loading counts one change per document, so it is written whenever that's not the token, else tokens would go back after a restart
+  if (this.db.retainChangeHistory || this.db.lastChangeToken !== this.db.getAllData().length) {
+    toPersist += self.afterSerialization(model.serialize({ $$changeToken: this.db.lastChangeToken }, '$$changeToken')) + '\n';
+  }
+  if (this.db.retainChangeHistory) {
+    this.db.changeHistory.forEach(function (record) {
+      toPersist += self.afterSerialization(model.serialize({ $$change: record }, '$$change')) + '\n';
+    });
+  }
 
   storage.crashSafeWriteFile(this.filename, toPersist, function (err) {
     if (err) { return callback(err); }
@@ -144,9 +169,15 @@ Persistence.prototype.persistCachedDatabase = function (cb) {
 
 /**
  * Queue a rewrite of the datafile
+ * The change history is dropped, so change streams can't be resumed from a token older than the compaction
  */
 Persistence.prototype.compactDatafile = function () {
-  this.db.executor.push({ this: this, fn: this.persistCachedDatabase, arguments: [] });
+  this.db.executor.push({ this: this, fn: this._compactDatafile, arguments: [] });
+};
+
+Persistence.prototype._compactDatafile = function (cb) {
+  this.db.changeHistory = [];
+  this.persistCachedDatabase(cb);
 };
 
 
@@ -177,35 +208,93 @@ Persistence.prototype.stopAutocompaction = function () {
 
 
 /**
- * Persist new state for the given newDocs (can be insertion, update or removal)
- * Use an append-only format
- * @param {Array} newDocs Can be empty if no doc was updated/removed
- * @param {Function} cb Optional, signature: err
+ * Serialize the lines persistNewState appends for the given newDocs, see below
+ * The sequences and revisions are considered persisted once this is called
+ * @param {Array} newDocs
+ * @param {Object} options Same as persistNewState
+ * @return {String} The lines, empty if there is nothing to write or the datastore is in-memory only
  */
-Persistence.prototype.persistNewState = function (newDocs, cb) {
+Persistence.prototype.serializeNewState = function (newDocs, options) {
   var self = this
     , toPersist = ''
-    , callback = cb || function () {}
+    , sequences = this.db.pendingSequences
+    , revisions = this.db.keepHistory ? this.db._recordRevisions(newDocs) : []
     ;
 
+  options = options || {};
+  this.db.pendingSequences = {};
+
   // In-memory only datastore
-  if (self.inMemoryOnly) { return callback(null); }
+  if (self.inMemoryOnly) { return ''; }
 
+  Object.keys(sequences).forEach(function (name) {
+    toPersist += self.afterSerialization(model.serialize({ $$sequence: { name: name, value: self.db.sequences[name] } }, '$$sequence')) + '\n';
+  });
   newDocs.forEach(function (doc) {
     toPersist += self.afterSerialization(model.serialize(doc)) + '\n';
   });
+  // The document of a new revision is the line written above it, loading takes it back from there (see treatRawData)
+  revisions.forEach(function (revision) {
+    toPersist += self.afterSerialization(model.serialize({ $$revision: { _id: revision._id, revision: revision.revision, date: revision.date } }, '$$revision')) + '\n';
+  });
+
+  if (toPersist.length > 0 && options.transactionId !== undefined) {
+    toPersist = self.afterSerialization(model.serialize({ $$begin: options.transactionId }, '$$begin')) + '\n' + toPersist
+              + self.afterSerialization(model.serialize({ $$commit: options.transactionId }, '$$commit')) + '\n';
+  }
+
+  return toPersist;
+};
+
+
+/**
+ * Persist new state for the given newDocs (can be insertion, update or removal)
+ * Use an append-only format
+ * The sequences incremented since the last write are persisted first, as $$sequence lines, and the new revisions
+ * of the documents last if the datastore keeps their history, without their document which is the line of newDocs
+ * @param {Array} newDocs Can be empty if no doc was updated/removed
+ * @param {Object} options Optional options
+ *                 options.transactionId If given, the lines are wrapped in the begin and commit lines of this transaction
+ * @param {Function} cb Optional, signature: err
+ */
+Persistence.prototype.persistNewState = function (newDocs, options, cb) {
+  var callback, toPersist;
 
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+
+  toPersist = this.serializeNewState(newDocs, options);
   if (toPersist.length === 0) { return callback(null); }
 
-  storage.appendFile(self.filename, toPersist, 'utf8', function (err) {
+  storage.appendFile(this.filename, toPersist, 'utf8', function (err) {
     return callback(err);
   });
 };
 
 
+/**
+ * Add a revision read from the datafile to the revisions of its document, keeping at most maxRevisions of them
+ */
+function addRevision (revisions, revision, maxRevisions) {
+  var key = model.serialize({ _id: revision._id });
+
+  revisions[key] = revisions[key] || [];
+  revisions[key].push(revision);
+  if (maxRevisions && revisions[key].length > maxRevisions) { revisions[key].shift(); }
+}
+
+
 /**
  * From a database's raw data, return the corresponding
  * machine understandable collection
+ * Also recompute the change tokens: every document or deletion line after the $$changeToken line written by
+ * the last compaction is one change. If the datastore retains its change history, the records of these changes
+ * are recreated and returned with the ones the compaction wrote
+ * The last value of each sequence is the one of its last $$sequence line
+ * If the datastore keeps the history of the documents, their revisions (removed documents included) are returned by serialized _id, oldest first
+ * Compaction writes revisions with their doc, appended revisions don't have one: it is the document as of the previous lines
+ * The lines of a transaction are only used once its commit line is read, so an incomplete transaction is ignored
+ * @return {Object} { data, indexes, sequences, revisions, lastChangeToken, changes }
  */
 Persistence.prototype.treatRawData = function (rawData) {
   var data = rawData.split('\n')
@@ -213,27 +302,77 @@ Persistence.prototype.treatRawData = function (rawData) {
     , tdata = []
     , i
     , indexes = {}
+    , sequences = {}
+    , keepHistory = this.db.keepHistory
+    , revisions = {}
     , corruptItems = -1   // Last line of every data file is usually blank so not really corrupt
+    , lastChangeToken = 0
+    , retainChangeHistory = this.db.retainChangeHistory
+    , retainedChanges = []
+    , changes = []
+    , transactionId = null, transactionLines = []
+    , self = this
     ;
 
-  for (i = 0; i < data.length; i += 1) {
-    var doc;
-
+  function treatLine (line, doc) {
     try {
-      doc = model.deserialize(this.beforeDeserialization(data[i]));
       if (doc._id) {
+        lastChangeToken += 1;
         if (doc.$$deleted === true) {
+          if (retainChangeHistory) { changes.push(ChangeStream.createChangeRecord(lastChangeToken, 'remove', doc)); }
           delete dataById[doc._id];
         } else {
+          if (retainChangeHistory) { changes.push(ChangeStream.createChangeRecord(lastChangeToken, dataById[doc._id] ? 'update' : 'insert', doc, dataById[doc._id])); }
           dataById[doc._id] = doc;
         }
       } else if (doc.$$indexCreated && doc.$$indexCreated.fieldName != undefined) {
         indexes[doc.$$indexCreated.fieldName] = doc.$$indexCreated;
       } else if (typeof doc.$$indexRemoved === "string") {
         delete indexes[doc.$$indexRemoved];
+      } else if (doc.$$sequence && typeof doc.$$sequence.name === "string" && typeof doc.$$sequence.value === "number") {
+        sequences[doc.$$sequence.name] = doc.$$sequence.value;
+      } else if (doc.$$revision && doc.$$revision._id !== undefined && typeof doc.$$revision.revision === "number") {
+        if (keepHistory) {
+          // An appended revision doesn't have its doc, it is the document as of the lines before it (null if it was removed)
+          if (!doc.$$revision.hasOwnProperty('doc')) { doc.$$revision.doc = dataById[doc.$$revision._id] || null; }
+          addRevision(revisions, doc.$$revision, self.db.maxRevisions);
+        }
+      } else if (typeof doc.$$changeToken === "number") {
+        // Only the lines appended since the compaction are changes
+        lastChangeToken = doc.$$changeToken;
+        retainedChanges = [];
+        changes = [];
+      } else if (doc.$$change && typeof doc.$$change.token === "number") {
+        if (retainChangeHistory) { retainedChanges.push(doc.$$change); }
       }
     } catch (e) {
       corruptItems += 1;
+      if (line.length > 0) { lastChangeToken += 1; }   // The line was written for a change, don't shift the tokens of the next ones
+    }
+  }
+
+  for (i = 0; i < data.length; i += 1) {
+    var doc;
+
+    try {
+      doc = model.deserialize(this.beforeDeserialization(data[i]));
+    } catch (e) {
+      doc = null;   // Counted as corrupt by treatLine
+    }
+
+    // Only lines which are not documents can be transaction markers
+    if (doc && doc._id === undefined && doc.$$begin !== undefined) {
+      // A transaction which wasn't committed is dropped
+      transactionId = doc.$$begin;
+      transactionLines = [];
+    } else if (transactionId !== null && doc && doc._id === undefined && doc.$$commit === transactionId) {
+      transactionLines.forEach(function (l) { treatLine(l.line, l.doc); });
+      transactionId = null;
+      transactionLines = [];
+    } else if (transactionId !== null) {
+      transactionLines.push({ line: data[i], doc: doc });
+    } else {
+      treatLine(data[i], doc);
     }
   }
 
@@ -246,7 +385,7 @@ Persistence.prototype.treatRawData = function (rawData) {
     tdata.push(dataById[k]);
   });
 
-  return { data: tdata, indexes: indexes };
+  return { data: tdata, indexes: indexes, sequences: sequences, revisions: revisions, lastChangeToken: lastChangeToken, changes: retainedChanges.concat(changes) };
 };
 
 
@@ -296,6 +435,23 @@ Persistence.prototype.loadDatabase = function (cb) {
               return cb(e);
             }
 
+            self.db.sequences = treatedData.sequences;
+            self.db.revisions = treatedData.revisions;
+            if (self.db.keepHistory) {
+              // Documents written before the history was kept, or whose revision wasn't written because of a crash,
+              // start with their current version, and the removal of removed documents is recorded if it wasn't
+              treatedData.data.forEach(function (doc) {
+                var revisions = treatedData.revisions[model.serialize({ _id: doc._id })];
+                if (!revisions || !model.areThingsEqual(revisions[revisions.length - 1].doc, doc)) { self.db._recordRevisions([doc]); }
+              });
+              Object.keys(treatedData.revisions).forEach(function (key) {
+                var last = treatedData.revisions[key][treatedData.revisions[key].length - 1];
+                if (last.doc !== null && self.db.indexes._id.getMatching(last._id).length === 0) { self.db._recordRevisions([{ $$deleted: true, _id: last._id }]); }
+              });
+            }
+            self.db.lastChangeToken = treatedData.lastChangeToken;
+            self.db.changeHistory = treatedData.changes;
+
             self.db.persistence.persistCachedDatabase(cb);
           });
         });
@@ -0,0 +1,132 @@
+/**
+ * References between datastores: documents reference the documents of another datastore whose foreign field (usually _id)
+ * has the value of one of their fields, the local field. If the local field is an array, each of its elements is a reference,
+ * and references which are undefined or null don't reference anything
+ * Used by Cursor.populate, the $lookup aggregation stage and the foreign keys of Datastore.addForeignKey
+ */
+
+var model = require('./model')
+  , util = require('util')
+  , _ = require('underscore')
+  ;
+
+
+function valueKey (value) {
+  return model.serialize({ value: value });
+}
+
+
+/**
+ * Get the references of a document in a field, as an array
+ */
+function getReferences (doc, field) {
+  var value = model.getDotValue(doc, field);
+
+  if (util.isArray(value)) { return _.filter(value, function (v) { return v !== undefined && v !== null; }); }
+  if (value === undefined || value === null) { return []; }
+  return [value];
+}
+
+
+/**
+ * Get the distinct references of a list of documents in a field
+ */
+function getValues (docs, field) {
+  var values = {};
+
+  docs.forEach(function (doc) {
+    getReferences(doc, field).forEach(function (v) { values[valueKey(v)] = v; });
+  });
+
+  return _.values(values);
+}
+
+
+/**
+ * Get the documents of the cache of a datastore whose field matches one of the values, without going through its executor
+ * Soft deleted documents are ignored
+ * @param {Datastore} db
+ * @param {String} field Uses the index on the field if there is one
+ * @param {Array} values
+ */
+function findInCache (db, field, values) {
+  var keys = {}
+    , candidates = db.indexes[field] ? db.indexes[field].getMatching(values) : db.getAllData()
+    ;
+
+  values.forEach(function (v) { keys[valueKey(v)] = true; });
+
+  return _.filter(candidates, function (doc) {
+    return !db.isSoftDeleted(doc) && _.any(getReferences(doc, field), function (v) { return keys[valueKey(v)]; });
+  });
+}
+
+
+/**
+ * Get the values of a field in removed documents which no remaining document of the datastore has, i.e. the references to
+ * the removed documents which don't reference anything anymore
+ * @param {Datastore} db
+ * @param {Array} removedDocs
+ * @param {String} field
+ * @param {Array} removing Optional, documents still in the cache which are about to be removed
+ */
+function getRemovedValues (db, removedDocs, field, removing) {
+  return _.filter(getValues(removedDocs, field), function (v) {
+    return _.difference(findInCache(db, field, [v]), removing || []).length === 0;
+  });
+}
+
+
+/**
+ * Find the documents referenced by a list of documents with one query on the other datastore, which uses its index
+ * on the foreign field if there is one
+ * @param {Array} docs
+ * @param {String} localField Can use the dot notation
+ * @param {Datastore} db The other datastore, or anything with the same find function such as a transaction
+ * @param {String} foreignField Can use the dot notation
+ * @param {Function} callback Signature: err, getReferenced
+ *                            getReferenced(doc) returns copies of the documents referenced by one of the docs, in the order of its references
+ */
+function resolve (docs, localField, db, foreignField, callback) {
+  var values = getValues(docs, localField)
+    , query = {}
+    ;
+
+  if (values.length === 0) { return callback(null, function () { return []; }); }
+
+  query[foreignField] = { $in: values };
+  db.find(query, function (err, foreignDocs) {
+    var byValue = {};
+
+    if (err) { return callback(err); }
+
+    foreignDocs.forEach(function (foreignDoc) {
+      getReferences(foreignDoc, foreignField).forEach(function (v) {
+        var key = valueKey(v);
+        byValue[key] = byValue[key] || [];
+        if (!_.contains(byValue[key], foreignDoc)) { byValue[key].push(foreignDoc); }
+      });
+    });
+
+    return callback(null, function (doc) {
+      var res = [];
+
+      getReferences(doc, localField).forEach(function (v) {
+        (byValue[valueKey(v)] || []).forEach(function (foreignDoc) {
+          if (!_.contains(res, foreignDoc)) { res.push(foreignDoc); }
+        });
+      });
+
+      return model.deepCopy(res);
+    });
+  });
+}
+
+
+
+// Interface
+module.exports.getReferences = getReferences;
+module.exports.getValues = getValues;
+module.exports.findInCache = findInCache;
+module.exports.getRemovedValues = getRemovedValues;
+module.exports.resolve = resolve;
@@ -0,0 +1,214 @@
+/**
+ * Validation of documents against a JSON Schema, a subset of draft-07
+ * Keywords: type, required, properties, additionalProperties, enum, pattern, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, minLength, maxLength, items, minItems, maxItems. Other keywords are ignored
+ * Besides the JSON types (string, number, integer, boolean, object, array, null), type can be 'date' since documents can contain dates
+ */
+
+var model = require('./model')
+  , util = require('util')
+  , _ = require('underscore')
+  , keywords = {}
+  ;
+
+
+function isObject (v) {
+  return typeof v === 'object' && v !== null && !util.isArray(v) && !util.isDate(v) && !(v instanceof RegExp);
+}
+
+
+var types = ['null', 'boolean', 'string', 'number', 'integer', 'array', 'object', 'date'];
+
+function checkType (v, type) {
+  switch (type) {
+    case 'null': return v === null;
+    case 'boolean': return typeof v === 'boolean';
+    case 'string': return typeof v === 'string';
+    case 'number': return typeof v === 'number';
+    case 'integer': return typeof v === 'number' && isFinite(v) && Math.floor(v) === v;
+    case 'array': return util.isArray(v);
+    case 'object': return isObject(v);
+    case 'date': return util.isDate(v);
+    default: throw new Error("Unknown type " + type + " in schema");
+  }
+}
+
+
+function childPath (path, key) {
+  return path === '' ? String(key) : path + '.' + key;
+}
+
+
+// ==============================================================
+// Keywords
+// Each one takes the value, the argument of the keyword, the whole schema, the path of the value
+// and the array of errors to which it pushes { path, message } if the value doesn't satisfy it
+// ==============================================================
+
+keywords.type = function (v, type, schema, path, errors) {
+  var types = util.isArray(type) ? type : [type];
+  if (!_.any(types, function (t) { return checkType(v, t); })) { errors.push({ path: path, message: "must be of type " + types.join(' or ') }); }
+};
+
+keywords.enum = function (v, values, schema, path, errors) {
+  if (!_.any(values, function (e) { return model.areThingsEqual(v, e); })) { errors.push({ path: path, message: "must be one of the values of the enum" }); }
+};
+
+keywords.required = function (v, required, schema, path, errors) {
+  if (!isObject(v)) { return; }
+  required.forEach(function (k) {
+    if (v[k] === undefined) { errors.push({ path: childPath(path, k), message: "is required" }); }
+  });
+};
+
+keywords.properties = function (v, properties, schema, path, errors) {
+  if (!isObject(v)) { return; }
+  Object.keys(properties).forEach(function (k) {
+    if (v[k] !== undefined) { validateValue(v[k], properties[k], childPath(path, k), errors); }
+  });
+};
+
+keywords.additionalProperties = function (v, additionalProperties, schema, path, errors) {
+  if (!isObject(v) || additionalProperties === true) { return; }
+  Object.keys(v).forEach(function (k) {
+    if (v[k] === undefined || (schema.properties && schema.properties.hasOwnProperty(k))) { return; }
+    if (additionalProperties === false) {
+      errors.push({ path: childPath(path, k), message: "is not an allowed property" });
+    } else {
+      validateValue(v[k], additionalProperties, childPath(path, k), errors);
+    }
+  });
+};
+
+keywords.items = function (v, items, schema, path, errors) {
+  if (!util.isArray(v)) { return; }
+  v.forEach(function (item, i) {
+    var itemSchema = util.isArray(items) ? items[i] : items;   // An array of schemas validates a tuple
+    if (itemSchema !== undefined) { validateValue(item, itemSchema, childPath(path, i), errors); }
+  });
+};
+
+keywords.pattern = function (v, pattern, schema, path, errors) {
+  if (typeof v === 'string' && !new RegExp(pattern).test(v)) { errors.push({ path: path, message: "must match the pattern " + pattern }); }
+};
+
+keywords.minimum = function (v, minimum, schema, path, errors) {
+  if (typeof v === 'number' && v < minimum) { errors.push({ path: path, message: "must be greater than or equal to " + minimum }); }
+};
+
+keywords.maximum = function (v, maximum, schema, path, errors) {
+  if (typeof v === 'number' && v > maximum) { errors.push({ path: path, message: "must be less than or equal to " + maximum }); }
+};
+
+keywords.exclusiveMinimum = function (v, minimum, schema, path, errors) {
+  if (typeof v === 'number' && v <= minimum) { errors.push({ path: path, message: "must be greater than " + minimum }); }
+};
+
+keywords.exclusiveMaximum = function (v, maximum, schema, path, errors) {
+  if (typeof v === 'number' && v >= maximum) { errors.push({ path: path, message: "must be less than " + maximum }); }
+};
+
+keywords.minLength = function (v, minLength, schema, path, errors) {
+  if (typeof v === 'string' && v.length < minLength) { errors.push({ path: path, message: "must be at least " + minLength + " characters long" }); }
+};
+
+keywords.maxLength = function (v, maxLength, schema, path, errors) {
+  if (typeof v === 'string' && v.length > maxLength) { errors.push({ path: path, message: "must be at most " + maxLength + " characters long" }); }
+};
+
+keywords.minItems = function (v, minItems, schema, path, errors) {
+  if (util.isArray(v) && v.length < minItems) { errors.push({ path: path, message: "must contain at least " + minItems + " items" }); }
+};
+
+keywords.maxItems = function (v, maxItems, schema, path, errors) {
+  if (util.isArray(v) && v.length > maxItems) { errors.push({ path: path, message: "must contain at most " + maxItems + " items" }); }
+};
+
+
+/**
+ * Validate a value against a schema, pushing the errors to the given array
+ * true and {} accept everything, false accepts nothing
+ */
+function validateValue (v, schema, path, errors) {
+  if (schema === true) { return; }
+  if (schema === false) { return errors.push({ path: path, message: "is not allowed" }); }
+
+  Object.keys(schema).forEach(function (k) {
+    if (keywords[k]) { keywords[k](v, schema[k], schema, path, errors); }
+  });
+}
+
+
+/**
+ * Validate a document against a schema
+ * @param {Document} doc
+ * @param {Object} schema
+ * @return {Array} Array of { path, message }, empty if the document is valid. path uses the dot notation, array items
+ *                 being designated by their index (e.g. 'satellites.1.name'), and is '' for the document itself
+ */
+function validate (doc, schema) {
+  var errors = [];
+  validateValue(doc, schema, '', errors);
+  return errors;
+}
+
+
+/**
+ * Check that a schema can be used to validate documents: its types must be known and its patterns valid regular expressions
+ * Subschemas (properties, additionalProperties and items) are checked too
+ * @param {Object} schema
+ * @param {String} path Optional, dot notation path of the schema in the whole schema, used in the error messages
+ * Throws if the schema is invalid
+ */
+function checkSchema (schema, path) {
+  var where = path ? " at " + path : "";
+
+  path = path || '';
+  if (schema === true || schema === false) { return; }
+  if (!isObject(schema)) { throw new Error("Invalid schema" + where + ", it must be an object or a boolean"); }
+
+  if (schema.type !== undefined) {
+    (util.isArray(schema.type) ? schema.type : [schema.type]).forEach(function (type) {
+      if (types.indexOf(type) === -1) { throw new Error("Unknown type " + type + " in schema" + where); }
+    });
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (e) {
+      throw new Error("Invalid pattern " + schema.pattern + " in schema" + where + ": " + e.message);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!isObject(schema.properties)) { throw new Error("properties must be an object in schema" + where); }
+    Object.keys(schema.properties).forEach(function (k) { checkSchema(schema.properties[k], childPath(path, k)); });
+  }
+  if (schema.additionalProperties !== undefined) { checkSchema(schema.additionalProperties, path); }
+  if (util.isArray(schema.items)) {
+    schema.items.forEach(function (itemSchema, i) { checkSchema(itemSchema, childPath(path, i)); });
+  } else if (schema.items !== undefined) {
+    checkSchema(schema.items, path);
+  }
+}
+
+
+/**
+ * Create the error describing why a document failed validation
+ * @param {Array} errors As returned by validate
+ * @return {Error} With errorType 'schemaValidationFailed' and a validationErrors field containing errors
+ */
+function validationError (errors) {
+  var err = new Error("Document failed schema validation: " + _.map(errors, function (e) { return (e.path || 'document') + ' ' + e.message; }).join(', '));
+  err.errorType = 'schemaValidationFailed';
+  err.validationErrors = errors;
+  return err;
+}
+
+
+
+// Interface
+module.exports.validate = validate;
+module.exports.checkSchema = checkSchema;
+module.exports.validationError = validationError;
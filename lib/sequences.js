@@ -0,0 +1,69 @@
+/**
+ * Named sequences of numbers, whose last values are persisted as $$sequence lines of the datafile
+ * Used by nextSequence and by the 'sequence' idGenerator
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+
+/**
+ * Get the next value of a sequence, without persisting it
+ * The new value is persisted with the next write to the datafile, see Persistence.persistNewState
+ * @param {String} name
+ * @param {Number} options.start Optional, defaults to 1, first value of the sequence
+ * @param {Number} options.step Optional, defaults to 1, increment between two values
+ * @return {Number}
+ */
+function incrementSequence (name, options) {
+  var start, step;
+
+  options = options || {};
+  start = options.start !== undefined ? options.start : 1;
+  step = options.step !== undefined ? options.step : 1;
+
+  if (typeof name !== 'string' || name.length === 0) { throw new Error("The name of a sequence must be a non empty string"); }
+  if (typeof start !== 'number' || !isFinite(start)) { throw new Error("The start of a sequence must be a number"); }
+  if (typeof step !== 'number' || !isFinite(step) || step === 0) { throw new Error("The step of a sequence must be a non zero number"); }
+
+  this.sequences[name] = this.sequences.hasOwnProperty(name) ? this.sequences[name] + step : start;
+  this.pendingSequences[name] = true;
+
+  return this.sequences[name];
+}
+
+/**
+ * Atomically get the next value of a sequence, persisted as a $$sequence line of the datafile
+ * @param {String} name
+ * @param {Object} options Optional, { start, step } see Datastore.incrementSequence. They are not stored with the sequence
+ *                         so they should be the same on every call
+ * @param {Function} cb Optional callback, signature: err, value
+ *
+ * @api private Use Datastore.nextSequence which has the same signature
+ */
+function _nextSequence (name, options, cb) {
+  var callback, value;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  callback = cb || function () {};
+
+  try {
+    value = this.incrementSequence(name, options);
+  } catch (e) {
+    return callback(e);
+  }
+
+  this.persistence.persistNewState([], function (err) {
+    if (err) { return callback(err); }
+    return callback(null, value);
+  });
+}
+
+function nextSequence () {
+  return this.executor.pushWithPromise({ this: this, fn: this._nextSequence, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports.incrementSequence = incrementSequence;
+module.exports._nextSequence = _nextSequence;
+module.exports.nextSequence = nextSequence;
@@ -0,0 +1,139 @@
+/**
+ * Read-only snapshots, returned by Datastore.snapshot
+ *
+ * The datastore never modifies its documents in place, every write replaces them by new objects in the indexes.
+ * So a snapshot only needs to keep the array of the documents at the time it was taken: the documents themselves are
+ * shared with the datastore and later versions of it, nothing is copied until it is returned by find or findOne.
+ * Queries on a snapshot don't use the indexes, which change with the datastore, all the captured documents are scanned
+ */
+
+var model = require('./model')
+  , Executor = require('./executor')
+  , Cursor = require('./cursor')
+  ;
+
+
+/**
+ * Create a new snapshot, empty until capture is run by the executor of the datastore
+ * Don't use directly, use Datastore.snapshot
+ * @param {Datastore} db
+ */
+function Snapshot (db) {
+  this.db = db;
+  this.compareStrings = db.compareStrings;
+  this.hooks = db.hooks;
+  this.docs = [];
+  this.error = null;
+
+  // Queries are buffered until the documents are captured, then they don't wait for the writes made to the datastore
+  this.executor = new Executor();
+}
+
+
+/**
+ * Capture the current documents of the datastore, stale documents being expired first as for any query
+ * @param {Function} cb Signature: err
+ *
+ * @api private Use Datastore.snapshot
+ */
+Snapshot.prototype._capture = function (cb) {
+  var self = this;
+
+  this.db.getCandidates({}, function (err, docs) {
+    if (err) { self.error = err; } else { self.docs = docs; }
+    self.executor.processBuffer();
+    return cb(null);
+  });
+};
+
+
+/**
+ * Same signature as Datastore.getCandidates, used by the cursors of the snapshot
+ * All the captured documents are candidates and they are never expired since the snapshot doesn't change
+ */
+Snapshot.prototype.getCandidates = function (query, dontExpireStaleDocs, callback) {
+  if (typeof dontExpireStaleDocs === 'function') { callback = dontExpireStaleDocs; }
+  if (this.error) { return callback(this.error); }
+  return callback(null, this.docs);
+};
+
+
+Snapshot.prototype.isSoftDeleted = function (doc) {
+  return this.db.isSoftDeleted(doc);
+};
+
+
+/**
+ * The find hooks of the datastore also apply to its snapshots
+ */
+Snapshot.prototype._runHooks = function (kind, operation, context, callback) {
+  return this.db._runHooks(kind, operation, context, callback);
+};
+
+
+/**
+ * Count the documents of the snapshot matching the query, same signature as Datastore.count
+ */
+Snapshot.prototype.count = function (query, callback) {
+  var cursor = new Cursor(this, query, function (err, docs, callback) {
+    if (err) { return callback(err); }
+    return callback(null, docs.length);
+  });
+
+  if (typeof callback === 'function') {
+    cursor.exec(callback);
+  } else {
+    return cursor;
+  }
+};
+
+
+/**
+ * Find the documents of the snapshot matching the query, same signature as Datastore.find
+ */
+Snapshot.prototype.find = function (query, projection, callback) {
+  if (typeof projection === 'function') {
+    callback = projection;
+    projection = {};
+  }
+
+  var cursor = new Cursor(this, query, function (err, docs, callback) {
+    if (err) { return callback(err); }
+    return callback(null, docs.map(function (doc) { return model.deepCopy(doc); }));
+  });
+
+  cursor.projection(projection || {});
+  if (typeof callback === 'function') {
+    cursor.exec(callback);
+  } else {
+    return cursor;
+  }
+};
+
+
+/**
+ * Find one document of the snapshot matching the query, same signature as Datastore.findOne
+ */
+Snapshot.prototype.findOne = function (query, projection, callback) {
+  if (typeof projection === 'function') {
+    callback = projection;
+    projection = {};
+  }
+
+  var cursor = new Cursor(this, query, function (err, docs, callback) {
+    if (err) { return callback(err); }
+    return callback(null, docs.length === 1 ? model.deepCopy(docs[0]) : null);
+  });
+
+  cursor.projection(projection || {}).limit(1);
+  if (typeof callback === 'function') {
+    cursor.exec(callback);
+  } else {
+    return cursor;
+  }
+};
+
+
+
+// Interface
+module.exports = Snapshot;
@@ -0,0 +1,165 @@
+/**
+ * Soft deletion, with the softDelete option of the datastore: remove and the other removals only set a deletion marker
+ * field on the documents, which find and the other queries then ignore, until they are restored or purged
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var model = require('./model')
+  , _ = require('underscore')
+  ;
+
+
+/**
+ * Whether a document was removed from a datastore using the softDelete option
+ */
+function isSoftDeleted (doc) {
+  return this.softDeleteField !== null && doc[this.softDeleteField] !== undefined && doc[this.softDeleteField] !== null;
+}
+
+
+/**
+ * Set (soft deletion) or remove (restoration) the deletion marker of documents of the cached database, without persisting it
+ * As any modification, this changes updatedAt and the version of the documents
+ * @param {Array} docs Documents of the cache
+ * @param {Date} deletedAt The marker, null to remove it
+ * @return {Array} The new versions of the documents
+ * Throws if the indexes can't be updated, in which case they are not modified
+ */
+function _setDeletionMarker (docs, deletedAt) {
+  var self = this
+    , modifications = _.map(docs, function (doc) {
+        var newDoc = model.deepCopy(doc);
+
+        if (deletedAt) { newDoc[self.softDeleteField] = deletedAt; } else { delete newDoc[self.softDeleteField]; }
+        if (self.timestampFields) { newDoc[self.timestampFields.updatedAt] = new Date(); }
+        if (self.versionKey) { newDoc[self.versionKey] = self.getVersion(doc) + 1; }
+
+        return { oldDoc: doc, newDoc: newDoc };
+      })
+    ;
+
+  this.updateIndexes(modifications);
+  return _.pluck(modifications, 'newDoc');
+}
+
+
+/**
+ * Soft delete the first doc (or all docs if multi is true) matching the query and not already deleted in the cached database,
+ * without running any hook. Used instead of _removeMatchingFromCache with the softDelete option
+ * @param {Function} callback Same as _removeMatchingFromCache, result.removedDocs being the new versions of the documents,
+ *                            with their deletion marker. The changes are updates, which is what is persisted
+ *
+ * @api private
+ */
+function _softDeleteMatchingInCache (query, multi, callback) {
+  var self = this, deletedDocs = []
+    ;
+
+  this.getCandidates(query, true, function (err, candidates) {
+    var newDocs;
+
+    if (err) { return callback(err); }
+
+    try {
+      candidates.forEach(function (d) {
+        if (model.match(d, query) && !self.isSoftDeleted(d) && (multi || deletedDocs.length === 0)) { deletedDocs.push(d); }
+      });
+      newDocs = self._setDeletionMarker(deletedDocs, new Date());
+    } catch (err) { return callback(err); }
+
+    return callback(null, { removedDocs: newDocs, toPersist: newDocs, changes: _.map(newDocs, function (doc, i) { return { type: 'update', doc: doc, oldDoc: deletedDocs[i] }; }) });
+  });
+}
+
+
+/**
+ * Restore all soft deleted documents matching the query, only with the softDelete option
+ * Hooks are not run
+ * @param {Object} query
+ * @param {Function} cb Optional callback, signature: err, numRestored
+ *
+ * @api private Use Datastore.restore which has the same signature
+ */
+function _restore (query, cb) {
+  var callback
+    , self = this
+    , restoredDocs = []
+    ;
+
+  if (typeof query === 'function') { cb = query; query = {}; }
+  callback = cb || function () {};
+  query = query || {};
+
+  if (!this.softDeleteField) { return callback(new Error("restore can only be used with the softDelete option")); }
+
+  this.getCandidates(query, function (err, candidates) {
+    var newDocs;
+
+    if (err) { return callback(err); }
+
+    try {
+      candidates.forEach(function (d) {
+        if (model.match(d, query) && self.isSoftDeleted(d)) { restoredDocs.push(d); }
+      });
+      newDocs = self._setDeletionMarker(restoredDocs, null);
+    } catch (err) { return callback(err); }
+
+    self.persistence.persistNewState(newDocs, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(_.map(newDocs, function (doc, i) { return { type: 'update', doc: doc, oldDoc: restoredDocs[i] }; }));
+      return callback(null, newDocs.length);
+    });
+  });
+}
+
+function restore () {
+  return this.executor.pushWithPromise({ this: this, fn: this._restore, arguments: arguments });
+}
+
+
+/**
+ * Definitively remove all soft deleted documents matching the query, only with the softDelete option
+ * Hooks are not run, same as for the documents expired by a TTL index
+ * @param {Object} query
+ * @param {Function} cb Optional callback, signature: err, numPurged
+ *
+ * @api private Use Datastore.purge which has the same signature
+ */
+function _purge (query, cb) {
+  var callback
+    , self = this
+    , deletedQuery = {}
+    ;
+
+  if (typeof query === 'function') { cb = query; query = {}; }
+  callback = cb || function () {};
+  query = query || {};
+
+  if (!this.softDeleteField) { return callback(new Error("purge can only be used with the softDelete option")); }
+  deletedQuery[this.softDeleteField] = { $exists: true, $ne: null };
+
+  this._removeMatchingFromCache({ $and: [query, deletedQuery] }, true, function (err, result) {
+    if (err) { return callback(err); }
+
+    self.persistence.persistNewState(result.toPersist, function (err) {
+      if (err) { return callback(err); }
+      self._notifyChanges(result.changes);
+      return callback(null, result.removedDocs.length);
+    });
+  });
+}
+
+function purge () {
+  return this.executor.pushWithPromise({ this: this, fn: this._purge, arguments: arguments });
+}
+
+
+
+// Interface
+module.exports.isSoftDeleted = isSoftDeleted;
+module.exports._setDeletionMarker = _setDeletionMarker;
+module.exports._softDeleteMatchingInCache = _softDeleteMatchingInCache;
+module.exports._restore = _restore;
+module.exports.restore = restore;
+module.exports._purge = _purge;
+module.exports.purge = purge;
@@ -20,6 +20,7 @@ storage.writeFile = fs.writeFile;
 storage.unlink = fs.unlink;
 storage.appendFile = fs.appendFile;
 storage.readFile = fs.readFile;
+storage.readdir = fs.readdir;
 storage.mkdirp = mkdirp;
 
 
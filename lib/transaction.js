@@ -0,0 +1,275 @@
+/**
+ * Transactions, created by Datastore.transaction
+ *
+ * The whole transaction is one task of the executor of the datastore, during which its operations are applied to the
+ * cached database one by one. The changes they made are kept, in order, so that they can be undone: if the transaction
+ * fails, insertions are removed from the indexes, updates are reverted and removed documents are added back.
+ * If it succeeds, everything it wrote is appended to the datafile at once, between the begin and commit lines of the
+ * transaction, and only then are the changes notified and the post hooks run
+ */
+
+var model = require('./model')
+  , util = require('util')
+  , async = require('async')
+  , _ = require('underscore')
+  , customUtils = require('./customUtils')
+  , Executor = require('./executor')
+  , Snapshot = require('./snapshot')
+  ;
+
+
+/**
+ * Create a new transaction
+ * Don't use directly, use Datastore.transaction
+ * @param {Datastore} db
+ */
+function Transaction (db) {
+  this.db = db;
+  this.compareStrings = db.compareStrings;
+  this.hooks = db.hooks;
+  this.toPersist = [];
+  this.changes = [];
+  this.postHooks = [];
+  this.finished = false;
+
+  // Operations of the transaction are run one by one, even if they are not awaited
+  this.executor = new Executor();
+  this.executor.ready = true;
+}
+
+
+/**
+ * Keep what an operation wrote to the cache, to persist or undo it when the transaction ends
+ * @param {Object} result { toPersist, changes, postHooks } as returned by the functions which apply writes to the cache
+ */
+Transaction.prototype._record = function (result) {
+  this.toPersist = this.toPersist.concat(result.toPersist);
+  this.changes = this.changes.concat(result.changes);
+  this.postHooks = this.postHooks.concat(result.postHooks);
+};
+
+
+function finishedError () {
+  var err = new Error("The transaction is already finished");
+  err.errorType = 'transactionFinished';
+  return err;
+}
+
+
+/**
+ * Insert a new document, or an array of documents, in the transaction, same signature as Datastore.insert
+ * With options.ordered set to false, the documents which can't be inserted are skipped and reported the same way
+ *
+ * @api private Use Transaction.insert which has the same signature
+ */
+Transaction.prototype._insert = function (newDoc, options, cb) {
+  var self = this
+    , db = this.db
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  options = options || {};
+
+  if (this.finished) { return cb(finishedError()); }
+  if (util.isArray(newDoc) && options.ordered === false) { return this._insertUnordered(newDoc, cb); }
+
+  db._prepareDocumentWithHooks(newDoc, function (err, preparedDoc) {
+    var preparedDocs;
+
+    if (err) { return cb(err); }
+
+    try {
+      db._insertInCache(preparedDoc);
+    } catch (e) {
+      return cb(e);
+    }
+
+    preparedDocs = util.isArray(preparedDoc) ? preparedDoc : [preparedDoc];
+    self._record({ toPersist: preparedDocs
+                 , changes: _.map(preparedDocs, function (doc) { return { type: 'insert', doc: doc }; })
+                 , postHooks: db._insertPostHooks(preparedDocs)
+                 });
+    return cb(null, model.deepCopy(preparedDoc));
+  });
+};
+
+
+/**
+ * Insert the valid documents of an array in the transaction, same as Datastore._insertUnordered
+ *
+ * @api private
+ */
+Transaction.prototype._insertUnordered = function (newDocs, callback) {
+  var self = this
+    , insertedDocs = []
+    , writeErrors = []
+    ;
+
+  async.eachSeries(_.range(newDocs.length), function (i, cb) {
+    self._insert(newDocs[i], function (err, insertedDoc) {
+      if (err) {
+        writeErrors.push({ index: i, error: err, document: newDocs[i] });
+      } else {
+        insertedDocs.push(insertedDoc);
+      }
+
+      return async.setImmediate(cb);
+    });
+  }, function () {
+    var err;
+
+    if (writeErrors.length > 0) {
+      err = new Error("Insert failed for " + writeErrors.length + " document(s), first error: " + writeErrors[0].error.message);
+      err.errorType = 'bulkWriteFailed';
+      err.writeErrors = writeErrors;
+      err.insertedDocs = insertedDocs;
+      return callback(err, insertedDocs);
+    }
+
+    return callback(null, insertedDocs);
+  });
+};
+
+
+/**
+ * Update documents in the transaction, same signature as Datastore.update
+ *
+ * @api private Use Transaction.update which has the same signature
+ */
+Transaction.prototype._update = function (query, updateQuery, options, cb) {
+  var self = this
+    , multi
+    ;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  options = options || {};
+  multi = options.multi !== undefined ? options.multi : false;
+
+  if (this.finished) { return cb(finishedError()); }
+
+  this.db._updateInCache(query, updateQuery, options, function (err, result) {
+    var updatedDocsDC;
+
+    if (err) { return cb(err); }
+    self._record(result);
+
+    if (result.upsertedDoc) { return cb(null, 1, model.deepCopy(result.upsertedDoc), true); }
+    if (!options.returnUpdatedDocs) { return cb(null, result.numMatched); }
+
+    updatedDocsDC = result.updatedDocs.map(function (doc) { return model.deepCopy(doc); });
+    return cb(null, result.numMatched, multi ? updatedDocsDC : updatedDocsDC[0]);
+  });
+};
+
+
+/**
+ * Remove documents in the transaction, same signature as Datastore.remove
+ *
+ * @api private Use Transaction.remove which has the same signature
+ */
+Transaction.prototype._remove = function (query, options, cb) {
+  var self = this;
+
+  if (typeof options === 'function') { cb = options; options = {}; }
+  options = options || {};
+
+  if (this.finished) { return cb(finishedError()); }
+
+  this.db._removeFromCache(query, options, function (err, result) {
+    if (err) { return cb(err); }
+    self._record(result);
+    return cb(null, result.removedDocs.length);
+  });
+};
+
+
+/**
+ * Undo all the changes of the transaction in the cached database, last one first
+ * @param {Function} cb Signature: err (never set)
+ *
+ * @api private Use Datastore.transaction
+ */
+Transaction.prototype._rollback = function (cb) {
+  this.finished = true;
+  this.db._revertChanges(this.changes);
+  return cb(null);
+};
+
+
+/**
+ * Persist all the writes of the transaction with one append, then notify its changes and run its post hooks
+ * If the datafile can't be written the transaction is rolled back
+ * @param {Function} cb Signature: err
+ *
+ * @api private Use Datastore.transaction
+ */
+Transaction.prototype._commit = function (cb) {
+  var self = this
+    , db = this.db
+    ;
+
+  this.finished = true;
+
+  db.persistence.persistNewState(this.toPersist, { transactionId: customUtils.uid(16) }, function (err) {
+    if (err) { return self._rollback(function () { return cb(err); }); }
+
+    db._notifyChanges(self.changes);
+    db._queueOnDelete(self.changes);
+    db._runPostHooks(self.postHooks, cb);
+  });
+};
+
+
+/**
+ * Stop accepting operations, run in the executor of the transaction so that the pending ones are done first
+ * Used when the transaction is committed by something else than _commit
+ * @param {Function} cb Signature: err (never set)
+ *
+ * @api private Use Database.transaction
+ */
+Transaction.prototype._finish = function (cb) {
+  this.finished = true;
+  return cb(null);
+};
+
+
+/**
+ * Same as for snapshots, cursors need these to read the documents, which include the writes made in the transaction
+ */
+Transaction.prototype.getCandidates = function (query, dontExpireStaleDocs, callback) {
+  return this.db.getCandidates(query, dontExpireStaleDocs, callback);
+};
+
+Transaction.prototype.isSoftDeleted = function (doc) {
+  return this.db.isSoftDeleted(doc);
+};
+
+Transaction.prototype._runHooks = function (kind, operation, context, callback) {
+  return this.db._runHooks(kind, operation, context, callback);
+};
+
+
+/**
+ * Operations of the transaction, which have the same signatures as the ones of the datastore
+ * They return a Promise if no callback is given
+ */
+Transaction.prototype.insert = function () {
+  return this.executor.pushWithPromise({ this: this, fn: this._insert, arguments: arguments });
+};
+
+Transaction.prototype.update = function () {
+  return this.executor.pushWithPromise({ this: this, fn: this._update, arguments: arguments, resultNames: ['numAffected', 'affectedDocuments', 'upsert'] });
+};
+
+Transaction.prototype.remove = function () {
+  return this.executor.pushWithPromise({ this: this, fn: this._remove, arguments: arguments });
+};
+
+Transaction.prototype.find = Snapshot.prototype.find;
+Transaction.prototype.findOne = Snapshot.prototype.findOne;
+Transaction.prototype.count = Snapshot.prototype.count;
+
+
+
+// Interface
+module.exports = Transaction;
@@ -0,0 +1,63 @@
+/**
+ * watch, the change streams of a datastore (see lib/changeStream.js)
+ * Its functions are methods of Datastore, lib/datastore.js adds them to its prototype
+ */
+
+var ChangeStream = require('./changeStream');
+
+
+/**
+ * Start a change stream, first replaying the retained changes that happened after options.resumeAfter if given
+ * Done in the executor so that no change can be missed or received twice
+ * @param {ChangeStream} stream
+ * @param {Object} options See Datastore.watch
+ * @param {Function} cb Signature: err (never set, errors are emitted by the stream)
+ *
+ * @api private Use Datastore.watch
+ */
+function _startChangeStream (stream, options, cb) {
+  var resumeAfter = options.resumeAfter
+    , oldestToken = this.changeHistory.length > 0 ? this.changeHistory[0].token : this.lastChangeToken + 1
+    , err
+    ;
+
+  if (stream.closed) { return cb(); }
+
+  if (resumeAfter !== undefined && resumeAfter !== null) {
+    if (typeof resumeAfter !== 'number' || resumeAfter > this.lastChangeToken || resumeAfter < oldestToken - 1) {
+      err = new Error("Can't resume the change stream after token " + resumeAfter + ", the history starts after token " + (oldestToken - 1) + " and ends at token " + this.lastChangeToken);
+      err.errorType = 'changeHistoryLost';
+      stream._fail(err);
+      return cb();
+    }
+
+    this.changeHistory.forEach(function (record) {
+      if (record.token > resumeAfter) { stream._push(record); }
+    });
+  }
+
+  this.changeStreams.push(stream);
+  return cb();
+}
+
+
+/**
+ * Watch the changes made to the datastore
+ * @param {Query} filter Optional, only change records matching it are emitted, e.g. { operationType: 'insert', 'fullDocument.planet': 'Mars' }
+ * @param {Object} options Optional options
+ *                 options.resumeAfter Token of the last change a previous stream received. The retained changes that happened after
+ *                                     it are emitted first. The stream emits an error of type 'changeHistoryLost' if they weren't retained
+ * @return {ChangeStream} Emits 'change' events with the records { token, operationType, documentKey, fullDocument, updateDescription }
+ */
+function watch (filter, options) {
+  var stream = new ChangeStream(this, filter);
+
+  this.executor.push({ this: this, fn: this._startChangeStream, arguments: [stream, options || {}] });
+  return stream;
+}
+
+
+
+// Interface
+module.exports._startChangeStream = _startChangeStream;
+module.exports.watch = watch;
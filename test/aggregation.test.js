@@ -0,0 +1,120 @@
+var should = require('chai').should()
+  , assert = require('chai').assert
+  , _ = require('underscore')
+  , aggregation = require('../lib/aggregation')
+  ;
+
+
+describe('Aggregation', function () {
+  var docs = [ { _id: '1', planet: 'Earth', system: 'solar', moons: ['Moon'], data: { temp: 15, mass: 6 } }
+             , { _id: '2', planet: 'Mars', system: 'solar', moons: ['Phobos', 'Deimos'], data: { temp: -60, mass: 0.6 } }
+             , { _id: '3', planet: 'Jupiter', system: 'solar', moons: ['Io', 'Europa', 'Ganymede'], data: { temp: -110, mass: 1898 } }
+             , { _id: '4', planet: 'Omicron Persei 8', system: 'futurama', moons: [], data: { temp: 15 } }
+             , { _id: '5', planet: 'Vulcan', data: { temp: 40 } }
+             ];
+
+  it('Does not modify the given documents', function () {
+    var copy = JSON.parse(JSON.stringify(docs));
+    aggregation.aggregate(docs, [{ $unwind: '$moons' }, { $project: { moons: 1 } }, { $sort: { moons: 1 } }]);
+    JSON.parse(JSON.stringify(docs)).should.deep.equal(copy);
+  });
+
+  it('Throws on invalid pipelines', function () {
+    (function () { aggregation.aggregate(docs, { $match: {} }); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $match: {}, $limit: 1 }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $unknown: 1 }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $limit: 0 }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $skip: 'a' }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $group: { total: { $sum: 1 } } }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $group: { _id: null, total: 1 } }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $unwind: 'moons' }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $project: { planet: 1, system: 0 } }]); }).should.throw();
+    (function () { aggregation.aggregate(docs, [{ $lookup: { from: {}, localField: 'a', foreignField: 'b', as: 'c' } }]); }).should.throw();
+  });
+
+  describe('Expressions', function () {
+
+    it('Field paths, objects, arrays, literals and constants', function () {
+      aggregation.evaluate(docs[0], '$planet').should.equal('Earth');
+      aggregation.evaluate(docs[0], '$data.temp').should.equal(15);
+      assert.isUndefined(aggregation.evaluate(docs[0], '$nope'));
+      aggregation.evaluate(docs[0], { p: '$planet', t: ['$data.temp', 5] }).should.deep.equal({ p: 'Earth', t: [15, 5] });
+      aggregation.evaluate(docs[0], { $literal: '$planet' }).should.equal('$planet');
+      aggregation.evaluate(docs[0], 'planet').should.equal('planet');
+      aggregation.evaluate(docs[0], 42).should.equal(42);
+      (function () { aggregation.evaluate(docs[0], { $add: [1, 2] }); }).should.throw();
+    });
+
+  });   // ==== End of 'Expressions' ==== //
+
+  describe('Stages', function () {
+
+    it('$match', function () {
+      _.pluck(aggregation.aggregate(docs, [{ $match: { 'data.temp': { $gt: 0 } } }]), '_id').should.deep.equal(['1', '4', '5']);
+    });
+
+    it('$project keeps, computes or removes fields', function () {
+      aggregation.aggregate(docs, [{ $match: { _id: '1' } }, { $project: { planet: 1, 'data.temp': 1 } }]).should.deep.equal([{ _id: '1', planet: 'Earth', data: { temp: 15 } }]);
+      aggregation.aggregate(docs, [{ $match: { _id: '1' } }, { $project: { _id: 0, name: '$planet', t: '$data.temp' } }]).should.deep.equal([{ name: 'Earth', t: 15 }]);
+      aggregation.aggregate(docs, [{ $match: { _id: '2' } }, { $project: { moons: 0, 'data.mass': 0 } }]).should.deep.equal([{ _id: '2', planet: 'Mars', system: 'solar', data: { temp: -60 } }]);
+      aggregation.aggregate(docs, [{ $match: { _id: '2' } }, { $project: { _id: '$planet', system: 1 } }]).should.deep.equal([{ _id: 'Mars', system: 'solar' }]);
+    });
+
+    it('$unwind outputs one document per array element', function () {
+      var res = aggregation.aggregate(docs, [{ $unwind: '$moons' }]);
+      _.pluck(res, 'moons').should.deep.equal(['Moon', 'Phobos', 'Deimos', 'Io', 'Europa', 'Ganymede']);
+      _.pluck(res, '_id').should.deep.equal(['1', '2', '2', '3', '3', '3']);
+
+      res = aggregation.aggregate(docs, [{ $unwind: { path: '$moons', preserveNullAndEmptyArrays: true } }]);
+      res.length.should.equal(8);
+      res[6].moons.should.deep.equal([]);
+      assert.isUndefined(res[7].moons);
+    });
+
+    it('$sort, $skip, $limit', function () {
+      _.pluck(aggregation.aggregate(docs, [{ $sort: { 'data.temp': -1, planet: 1 } }]), '_id').should.deep.equal(['5', '1', '4', '2', '3']);
+      _.pluck(aggregation.aggregate(docs, [{ $sort: { 'data.temp': 1 } }, { $skip: 1 }, { $limit: 2 }]), '_id').should.deep.equal(['2', '1']);
+    });
+
+    it('$sort uses the compareStrings option', function () {
+      var res = aggregation.aggregate(docs, [{ $sort: { planet: 1 } }], { compareStrings: function (a, b) { return a.length - b.length; } });
+      _.pluck(res, 'planet').should.deep.equal(['Mars', 'Earth', 'Vulcan', 'Jupiter', 'Omicron Persei 8']);
+    });
+
+    it('$count', function () {
+      aggregation.aggregate(docs, [{ $match: { system: 'solar' } }, { $count: 'n' }]).should.deep.equal([{ n: 3 }]);
+      aggregation.aggregate(docs, [{ $match: { system: 'nope' } }, { $count: 'n' }]).should.deep.equal([]);
+      (function () { aggregation.aggregate(docs, [{ $count: '$n' }]); }).should.throw();
+    });
+
+    it('$group with all accumulators', function () {
+      var res = aggregation.aggregate(docs, [{ $group: { _id: '$system'
+                                                       , count: { $sum: 1 }
+                                                       , mass: { $sum: '$data.mass' }
+                                                       , avgTemp: { $avg: '$data.temp' }
+                                                       , minTemp: { $min: '$data.temp' }
+                                                       , maxTemp: { $max: '$data.temp' }
+                                                       , planets: { $push: '$planet' }
+                                                       , temps: { $addToSet: '$data.temp' }
+                                                       , first: { $first: '$planet' }
+                                                       , last: { $last: '$planet' }
+                                                       } }]);
+
+      res.length.should.equal(3);
+      res[0].should.deep.equal({ _id: 'solar', count: 3, mass: 1904.6, avgTemp: -155 / 3, minTemp: -110, maxTemp: 15
+                               , planets: ['Earth', 'Mars', 'Jupiter'], temps: [15, -60, -110], first: 'Earth', last: 'Jupiter' });
+      res[1]._id.should.equal('futurama');
+      res[1].mass.should.equal(0);
+      res[2].should.deep.equal({ _id: null, count: 1, mass: 0, avgTemp: 40, minTemp: 40, maxTemp: 40
+                               , planets: ['Vulcan'], temps: [40], first: 'Vulcan', last: 'Vulcan' });
+    });
+
+    it('$group by a compound key or everything, and $avg/$min/$max without values', function () {
+      aggregation.aggregate(docs, [{ $group: { _id: { system: '$system', temp: '$data.temp' }, n: { $sum: 1 } } }]).length.should.equal(5);
+      aggregation.aggregate(docs, [{ $unwind: '$moons' }, { $group: { _id: null, n: { $sum: 1 } } }]).should.deep.equal([{ _id: null, n: 6 }]);
+      aggregation.aggregate(docs, [{ $group: { _id: null, a: { $avg: '$nope' }, b: { $min: '$nope' }, c: { $max: '$nope' } } }]).should.deep.equal([{ _id: null, a: null, b: null, c: null }]);
+    });
+
+  });   // ==== End of 'Stages' ==== //
+
+});
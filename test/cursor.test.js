@@ -851,12 +851,158 @@ describe('Cursor', function () {
 
   });   // ==== End of 'Projections' ====
 
-});
+  describe('Thenable', function () {
+
+    beforeEach(function (done) {
+      d.insert([{ age: 5 }, { age: 57 }, { age: 52 }], function (err) {
+        assert.isNull(err);
+        return done();
+      });
+    });
+
+    it('A cursor can be used as a Promise with then and catch', function (done) {
+      var cursor = new Cursor(d, { age: { $gt: 10 } });
+      cursor.sort({ age: 1 }).then(function (docs) {
+        _.pluck(docs, 'age').should.deep.equal([52, 57]);
+        return new Cursor(d, { age: { $bad: 1 } }).catch(function (err) { return err; });
+      }).then(function (err) {
+        err.message.should.contain('$bad');
+        done();
+      }).catch(done);
+    });
+
+    it('exec returns a Promise if no callback is given', function (done) {
+      var cursor = new Cursor(d, {});
+      cursor.limit(2).exec().then(function (docs) {
+        docs.length.should.equal(2);
+        done();
+      }).catch(done);
+    });
+
+  });   // ==== End of 'Thenable' ====
 
 
+  describe('Observe', function () {
 
+    // Keep an array up to date with the callbacks, checking that they are consistent with it
+    function mirror (docs) {
+      return { added: function (doc, i) { i.should.be.at.most(docs.length); docs.splice(i, 0, doc); }
+             , changed: function (newDoc, oldDoc, i) { docs[i]._id.should.equal(oldDoc._id); docs[i] = newDoc; }
+             , removed: function (oldDoc, i) { docs[i]._id.should.equal(oldDoc._id); docs.splice(i, 1); }
+             , movedTo: function (doc, from, to) { docs[from]._id.should.equal(doc._id); docs.splice(from, 1); docs.splice(to, 0, doc); }
+             };
+    }
 
+    it('Gives the initial results to added then calls the callback', function (done) {
+      var docs = [];
 
+      d.insert([{ age: 5 }, { age: 57 }, { age: 52 }, { age: 23 }], function () {
+        d.find({ age: { $gt: 10 } }).sort({ age: -1 }).limit(2).observe(mirror(docs), function (err) {
+          assert.isNull(err);
+          _.pluck(docs, 'age').should.deep.equal([57, 52]);
+          done();
+        });
+      });
+    });
 
+    it('Keeps a sorted, skipped and limited result set up to date after any sequence of writes', function (done) {
+      var docs = []
+        , seed = 42
+        , i
+        , operations = []
+        ;
 
+      function random (n) {
+        seed = (seed * 16807) % 2147483647;
+        return seed % n;
+      }
 
+      for (i = 0; i < 150; i += 1) {
+        operations.push({ kind: random(3), age: random(30), other: random(30) });
+      }
+
+      d.find({ age: { $lt: 20 } }).sort({ age: 1 }).skip(2).limit(4).observe(mirror(docs), function () {
+        async.eachSeries(operations, function (op, cb) {
+          function check () {
+            d.find({ age: { $lt: 20 } }).sort({ age: 1 }).skip(2).limit(4).exec(function (err, expected) {
+              _.pluck(docs, 'age').should.deep.equal(_.pluck(expected, 'age'));
+              cb();
+            });
+          }
+
+          switch (op.kind) {
+            case 0: return d.insert({ age: op.age }, check);
+            case 1: return d.update({ age: op.other }, { $set: { age: op.age } }, {}, check);
+            case 2: return d.remove({ age: op.age }, {}, check);
+          }
+        }, done);
+      });
+    });
+
+    it('changed and movedTo describe an update that keeps the document in the results, with the projection', function (done) {
+      var calls = [];
+
+      d.insert([{ name: 'a', age: 5, secret: 1 }, { name: 'b', age: 10 }], function () {
+        d.find({}).sort({ age: 1 }).projection({ name: 1, age: 1, _id: 0 }).observe({
+          changed: function (newDoc, oldDoc, i) { calls.push(['changed', newDoc, oldDoc, i]); }
+        , movedTo: function (doc, from, to) { calls.push(['movedTo', doc, from, to]); }
+        }, function () {
+          d.update({ name: 'a' }, { $set: { secret: 2 } }, {}, function () {
+            calls.length.should.equal(0);   // Not visible in the results
+            d.update({ name: 'a' }, { $set: { age: 15 } }, {}, function () {
+              calls.should.deep.equal([ ['changed', { name: 'a', age: 15 }, { name: 'a', age: 5 }, 0]
+                                      , ['movedTo', { name: 'a', age: 15 }, 0, 1]
+                                      ]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Without sort, new documents are added at the end', function (done) {
+      var docs = [];
+
+      d.insert([{ age: 5 }, { age: 57 }], function () {
+        d.find({}).observe(mirror(docs), function () {
+          d.insert({ age: 1 }, function () {
+            docs.length.should.equal(3);
+            docs[2].age.should.equal(1);
+            d.remove({ age: 5 }, {}, function () {
+              _.pluck(docs, 'age').should.deep.equal([57, 1]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Stops following the writes once stopped', function (done) {
+      var docs = []
+        , handle = d.find({}).observe(mirror(docs));
+
+      d.insert({ age: 5 }, function () {
+        docs.length.should.equal(1);
+        handle.stop();
+        d.insert({ age: 6 }, function () {
+          docs.length.should.equal(1);
+          d.changeStreams.length.should.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('An invalid query is given to the callback', function (done) {
+      d.insert({ age: 5 }, function () {
+        d.find({ age: { $bad: 1 } }).observe({}, function (err) {
+          err.message.should.contain('$bad');
+          d.changeStreams.length.should.equal(0);
+          done();
+        });
+      });
+    });
+
+  });   // ==== End of 'Observe' ====
+
+
+});
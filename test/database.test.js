@@ -0,0 +1,398 @@
+var should = require('chai').should()
+  , assert = require('chai').assert
+  , fs = require('fs')
+  , path = require('path')
+  , async = require('async')
+  , model = require('../lib/model')
+  , Datastore = require('../lib/datastore')
+  , Database = require('../lib/database')
+  , Persistence = require('../lib/persistence')
+  , Transaction = require('../lib/transaction')
+  , storage = require('../lib/storage')
+  , child_process = require('child_process')
+  , testDirectory = 'workspace/database'
+  ;
+
+
+describe('Database', function () {
+  var database;
+
+  beforeEach(function (done) {
+    Persistence.ensureDirectoryExists(testDirectory, function () {
+      fs.readdirSync(testDirectory).forEach(function (file) { fs.unlinkSync(path.join(testDirectory, file)); });
+      database = new Database({ directory: testDirectory });
+      done();
+    });
+  });
+
+  it('Is exported by Datastore and needs a directory', function () {
+    Datastore.Database.should.equal(Database);
+    (function () { new Database(); }).should.throw();
+    (function () { new Database({ directory: '' }); }).should.throw();
+  });
+
+  it('Is exported by Datastore even if it is required first', function (done) {
+    child_process.execFile(process.execPath, ['-e', "var Database = require('./lib/database'); process.exit(require('./lib/datastore').Database === Database ? 0 : 1);"], function (err) {
+      assert.isNull(err);
+      done();
+    });
+  });
+
+  it('Collection names are checked', function (done) {
+    (function () { database.collection('../planets'); }).should.throw();
+    (function () { database.collection('.planets'); }).should.throw();
+    (function () { database.collection(''); }).should.throw();
+    (function () { database.collection('planets~'); }).should.throw();
+    database.collection('solar-system.planets_2', { onload: done });
+  });
+
+  it('Collections are created and loaded when first used, in a datafile named after them', function (done) {
+    var planets = database.collection('planets');
+
+    planets.should.be.an.instanceof(Datastore);
+    database.collection('planets').should.equal(planets);
+    planets.filename.should.equal(path.join(testDirectory, 'planets.db'));
+
+    planets.insert({ _id: '1', name: 'Earth' }, function (err) {
+      assert.isNull(err);
+
+      // Another database on the same directory sees the documents
+      new Database({ directory: testDirectory }).collection('planets').find({}, function (err, docs) {
+        docs.should.deep.equal([{ _id: '1', name: 'Earth' }]);
+        done();
+      });
+    });
+  });
+
+  it('Collections use the settings of the database and their own options', function (done) {
+    var as = function (s) { return 'x' + s; }
+      , bd = function (s) { return s.substring(1); }
+      , planets
+      ;
+
+    database = new Database({ directory: testDirectory, afterSerialization: as, beforeDeserialization: bd, corruptAlertThreshold: 0.5 });
+    planets = database.collection('planets', { timestampData: true, filename: 'nope.db' });
+    planets.filename.should.equal(path.join(testDirectory, 'planets.db'));
+    planets.persistence.corruptAlertThreshold.should.equal(0.5);
+
+    planets.insert({ _id: '1' }, function (err, doc) {
+      (doc.createdAt instanceof Date).should.equal(true);
+      fs.readFileSync(planets.filename, 'utf8').charAt(0).should.equal('x');
+      done();
+    });
+  });
+
+  it('listCollections gives the loaded collections and the ones which have a datafile', function (done) {
+    fs.writeFileSync(path.join(testDirectory, 'moons.db'), model.serialize({ _id: '1' }) + '\n', 'utf8');
+    fs.writeFileSync(path.join(testDirectory, 'notes.txt'), 'not a collection', 'utf8');
+
+    database.listCollections(function (err, names) {
+      assert.isNull(err);
+      names.should.deep.equal(['moons']);
+
+      database.collection('planets');
+      database.listCollections().then(function (names) {
+        names.should.deep.equal(['moons', 'planets']);
+        database.collection('planets').count({}, done);
+      });
+    });
+  });
+
+  it('dropCollection removes the datafile, and collection then gives a new empty collection', function (done) {
+    var planets = database.collection('planets');
+
+    planets.insert({ name: 'Earth' });
+    database.dropCollection('planets', function (err, dropped) {
+      assert.isNull(err);
+      dropped.should.equal(true);
+      fs.existsSync(path.join(testDirectory, 'planets.db')).should.equal(false);
+
+      database.dropCollection('planets', function (err, dropped) {
+        dropped.should.equal(false);
+
+        database.collection('planets').should.not.equal(planets);
+        database.collection('planets').count({}, function (err, n) {
+          n.should.equal(0);
+          done();
+        });
+      });
+    });
+  });
+
+  it('dropCollection also removes collections which were not loaded', function (done) {
+    fs.writeFileSync(path.join(testDirectory, 'moons.db'), model.serialize({ _id: '1' }) + '\n', 'utf8');
+
+    database.dropCollection('moons').then(function (dropped) {
+      dropped.should.equal(true);
+      return database.listCollections();
+    }).then(function (names) {
+      names.should.deep.equal([]);
+      done();
+    });
+  });
+
+  it('renameCollection moves the datafile, loaded collections can still be used', function (done) {
+    var planets = database.collection('planets');
+
+    planets.insert({ _id: '1', name: 'Earth' });
+    database.renameCollection('planets', 'worlds', function (err) {
+      assert.isNull(err);
+      database.collection('worlds').should.equal(planets);
+      planets.filename.should.equal(path.join(testDirectory, 'worlds.db'));
+      fs.existsSync(path.join(testDirectory, 'planets.db')).should.equal(false);
+
+      planets.insert({ _id: '2', name: 'Mars' }, function () {
+        new Database({ directory: testDirectory }).collection('worlds').count({}, function (err, n) {
+          n.should.equal(2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('renameCollection fails if the collection does not exist or the new name is taken', function (done) {
+    database.collection('planets').count({});
+    fs.writeFileSync(path.join(testDirectory, 'moons.db'), '', 'utf8');
+
+    database.renameCollection('stars', 'suns', function (err) {
+      err.should.be.an.instanceof(Error);
+      database.renameCollection('planets', 'moons', function (err) {
+        err.should.be.an.instanceof(Error);
+        database.renameCollection('moons', 'planets', function (err) {
+          err.should.be.an.instanceof(Error);
+          database.renameCollection('moons', 'satellites', function (err) {
+            assert.isNull(err);
+            database.listCollections(function (err, names) {
+              names.should.deep.equal(['planets', 'satellites']);
+              database.collection('planets').count({}, done);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('Transactions', function () {
+    var orders, inventory;
+
+    beforeEach(function (done) {
+      orders = database.collection('orders');
+      inventory = database.collection('inventory');
+      inventory.insert({ _id: 'apple', stock: 10 }, done);
+    });
+
+    function order (tx, quantity) {
+      return tx.collection('orders').insert({ item: 'apple', quantity: quantity }).then(function () {
+        return tx.collection('inventory').update({ _id: 'apple' }, { $inc: { stock: -quantity } }, {});
+      }).then(function () {
+        return tx.collection('inventory').findOne({ _id: 'apple' });
+      }).then(function (doc) {
+        if (doc.stock < 0) { throw new Error('Out of stock'); }
+        return doc.stock;
+      });
+    }
+
+    it('Applies and persists the operations on all the collections', function (done) {
+      database.transaction(['orders', 'inventory'], function (tx) { return order(tx, 3); }, function (err, stock) {
+        assert.isNull(err);
+        stock.should.equal(7);
+        fs.existsSync(database.getJournalFilename()).should.equal(false);
+
+        database = new Database({ directory: testDirectory });
+        database.collection('orders').find({}, function (err, docs) {
+          docs.length.should.equal(1);
+          docs[0].quantity.should.equal(3);
+          database.collection('inventory').findOne({ _id: 'apple' }, function (err, doc) {
+            doc.stock.should.equal(7);
+            done();
+          });
+        });
+      });
+    });
+
+    it('If the function fails, the operations on all the collections are undone', function (done) {
+      var ordersSize;
+
+      orders.count({}, function () {
+        ordersSize = fs.readFileSync(orders.filename, 'utf8').length;
+
+        database.transaction(['inventory', 'orders'], function (tx) { return order(tx, 11); }).then(null, function (err) {
+          err.message.should.equal('Out of stock');
+          fs.readFileSync(orders.filename, 'utf8').length.should.equal(ordersSize);
+
+          orders.count({}, function (err, n) {
+            n.should.equal(0);
+            inventory.findOne({ _id: 'apple' }, function (err, doc) {
+              doc.stock.should.equal(10);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Only the collections given can be used, and other operations on them wait for the end of the transaction', function (done) {
+      var ended = false;
+
+      database.transaction(['orders'], function (tx) {
+        tx.collection('orders').should.be.an.instanceof(Transaction);
+        orders.count({}, function (err, n) {
+          ended.should.equal(true);
+          n.should.equal(1);
+
+          database.transaction(['orders'], function (tx) {
+            tx.collection('inventory');
+          }, function (err) {
+            err.message.should.match(/not part of the transaction/);
+            database.transaction([], function () {}, function (err) {
+              assert.isDefined(err);
+              done();
+            });
+          });
+        });
+        return tx.collection('orders').insert({ item: 'pear' }).then(function () { ended = true; });
+      });
+    });
+
+    it('Transactions on the same collections in a different order do not wait for each other', function (done) {
+      async.parallel([
+        function (cb) { database.transaction(['orders', 'inventory'], function (tx) { return order(tx, 1); }, cb); }
+      , function (cb) { database.transaction(['inventory', 'orders'], function (tx) { return order(tx, 2); }, cb); }
+      ], function (err, stocks) {
+        assert.isNull(err);
+        stocks.sort().should.deep.equal([7, 9]);
+        done();
+      });
+    });
+
+    it('A committed journal is replayed before loading the collections, for the datafiles which do not have the transaction', function (done) {
+      var ordersFile = path.join(testDirectory, 'orders.db')
+        , inventoryFile = path.join(testDirectory, 'inventory.db')
+        , ordersData = model.serialize({ $$begin: 't1' }, '$$begin') + '\n' + model.serialize({ _id: 'o1', item: 'apple', quantity: 3 }) + '\n' + model.serialize({ $$commit: 't1' }, '$$commit') + '\n'
+        , inventoryData = model.serialize({ $$begin: 't1' }, '$$begin') + '\n' + model.serialize({ _id: 'apple', stock: 7 }) + '\n' + model.serialize({ $$commit: 't1' }, '$$commit') + '\n'
+        ;
+
+      inventory.count({}, function () {
+        // Crash during the append to the inventory datafile
+        fs.appendFileSync(ordersFile, ordersData, 'utf8');
+        fs.appendFileSync(inventoryFile, inventoryData.substring(0, 40), 'utf8');
+        fs.writeFileSync(database.getJournalFilename(), model.serialize({ transactionId: 't1', entries: [{ name: 'orders', data: ordersData }
+                                                                                                       , { name: 'inventory', data: inventoryData }] }), 'utf8');
+
+        database = new Database({ directory: testDirectory });
+        database.collection('inventory').findOne({ _id: 'apple' }, function (err, doc) {
+          doc.stock.should.equal(7);
+          fs.existsSync(database.getJournalFilename()).should.equal(false);
+          database.collection('orders').find({}, function (err, docs) {
+            docs.should.deep.equal([{ _id: 'o1', item: 'apple', quantity: 3 }]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('A journal which was not fully written is discarded', function (done) {
+      inventory.count({}, function () {
+        fs.writeFileSync(database.getJournalFilename() + '~', model.serialize({ transactionId: 't1', entries: [{ name: 'inventory', data: '' }] }), 'utf8');
+
+        database = new Database({ directory: testDirectory });
+        database.collection('inventory').findOne({ _id: 'apple' }, function (err, doc) {
+          doc.stock.should.equal(10);
+          fs.existsSync(database.getJournalFilename() + '~').should.equal(false);
+          done();
+        });
+      });
+    });
+
+    it('If an append fails once the journal is written, the collections stay locked until the appends are retried', function (done) {
+      var appendFile = storage.appendFile
+        , failures = 0
+        ;
+
+      storage.appendFile = function (filename, data) {
+        if (filename === inventory.filename && data.indexOf('$$commit') !== -1 && failures < 2) {
+          failures += 1;
+          return arguments[arguments.length - 1](new Error('Disk full'));
+        }
+        return appendFile.apply(storage, arguments);
+      };
+
+      database.transaction(['orders', 'inventory'], function (tx) {
+        inventory.update({ _id: 'apple' }, { $set: { stock: 0 } }, {});   // Waits for the end of the transaction
+        return order(tx, 3);
+      }, function (err, stock) {
+        storage.appendFile = appendFile;
+        assert.isNull(err);
+        stock.should.equal(7);
+        failures.should.equal(2);
+        fs.existsSync(database.getJournalFilename()).should.equal(false);
+
+        inventory.count({}, function () {
+          database = new Database({ directory: testDirectory });
+          database.collection('inventory').findOne({ _id: 'apple' }, function (err, doc) {
+            doc.stock.should.equal(0);
+            database.collection('orders').count({}, function (err, n) {
+              n.should.equal(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('If the appends keep failing, the collections are unlocked and the error is returned, the journal completing the transaction at the next load', function (done) {
+      var appendFile = storage.appendFile
+        , failures = 0
+        ;
+
+      storage.appendFile = function (filename) {
+        if (filename === inventory.filename) {
+          failures += 1;
+          return arguments[arguments.length - 1](new Error('EIO'));
+        }
+        return appendFile.apply(storage, arguments);
+      };
+
+      database.transaction(['orders', 'inventory'], function (tx) {
+        return order(tx, 3);
+      }, function (err) {
+        storage.appendFile = appendFile;
+        err.errorType.should.equal('transactionAppendFailed');
+        err.message.should.contain('EIO');
+        failures.should.equal(6);
+        fs.existsSync(database.getJournalFilename()).should.equal(true);
+
+        // Unlocked
+        inventory.findOne({ _id: 'apple' }, function (err, doc) {
+          doc.stock.should.equal(7);
+
+          database = new Database({ directory: testDirectory });
+          database.collection('inventory').findOne({ _id: 'apple' }, function (err, doc) {
+            doc.stock.should.equal(7);
+            fs.existsSync(database.getJournalFilename()).should.equal(false);
+            database.collection('orders').count({}, function (err, n) {
+              n.should.equal(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('The onDelete actions of foreign keys are applied once the collections are unlocked and before the transaction ends', function (done) {
+      orders.addForeignKey({ fieldName: 'item', parent: inventory, onDelete: 'cascade' });
+      orders.insert({ item: 'apple', quantity: 3 }, function (err) {
+        assert.isNull(err);
+        database.transaction(['orders', 'inventory'], function (tx) {
+          return tx.collection('inventory').remove({ _id: 'apple' });
+        }, function (err) {
+          assert.isNull(err);
+          orders.getAllData().length.should.equal(0);
+          done();
+        });
+      });
+    });
+
+  });   // ==== End of 'Transactions' ==== //
+
+});
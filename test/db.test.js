@@ -371,6 +371,30 @@ describe('Database', function () {
       });
     });
 
+    it("timestampData can give the names of the timestamp fields", function (done) {
+      var beginning = Date.now();
+
+      (function () { new Datastore({ timestampData: 'yes' }); }).should.throw();
+      (function () { new Datastore({ timestampData: { createdAt: 'a.b' } }); }).should.throw();
+      (function () { new Datastore({ timestampData: { createdAt: 'at', updatedAt: 'at' } }); }).should.throw();
+
+      d = new Datastore({ filename: testDb, timestampData: { createdAt: 'created_at', updatedAt: 'modified_at' }, autoload: true });
+      d.insert({ hello: 'world', modified_at: new Date(234) }, function (err, insertedDoc) {
+        Object.keys(insertedDoc).length.should.equal(4);
+        assert.isUndefined(insertedDoc.createdAt);
+        assert.isUndefined(insertedDoc.updatedAt);
+        assert.isBelow(insertedDoc.created_at.getTime() - beginning, reloadTimeUpperBound);
+        insertedDoc.modified_at.getTime().should.equal(234);   // Not modified
+
+        // A field can be left to its default name
+        d = new Datastore({ timestampData: { createdAt: 'created_at' } });
+        d.insert({ hello: 'world' }, function (err, insertedDoc) {
+          Object.keys(insertedDoc).sort().should.deep.equal(['_id', 'created_at', 'hello', 'updatedAt']);
+          done();
+        });
+      });
+    });
+
     it('Can insert a doc with id 0', function (done) {
       d.insert({ _id: 0, hello: 'world' }, function (err, doc) {
         doc._id.should.equal(0);
@@ -421,6 +445,42 @@ describe('Database', function () {
       });
     });
 
+    it('With the ordered option set to false, an array insert keeps the valid documents and reports the rejected ones', function (done) {
+      d.ensureIndex({ fieldName: 'a', unique: true });
+      d.insert({ a: 2 }, function () {
+        d.insert([{ a: 1 }, { a: 2 }, { a: 3 }, { $bad: true }, { a: 1 }, { a: 4 }], { ordered: false }, function (err, newDocs) {
+          err.errorType.should.equal('bulkWriteFailed');
+          _.pluck(err.writeErrors, 'index').should.deep.equal([1, 3, 4]);
+          err.writeErrors[0].error.errorType.should.equal('uniqueViolated');
+          err.writeErrors[0].error.key.should.equal(2);
+          err.writeErrors[0].document.should.deep.equal({ a: 2 });
+          err.writeErrors[2].error.key.should.equal(1);
+          _.pluck(newDocs, 'a').should.deep.equal([1, 3, 4]);
+          err.insertedDocs.should.deep.equal(newDocs);
+
+          d.loadDatabase(function () {
+            d.find({}, function (err, docs) {
+              _.pluck(docs, 'a').sort().should.deep.equal([1, 2, 3, 4]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('With the ordered option set to false and no invalid document, an array insert works as usual', function (done) {
+      d.insert([{ a: 1 }, { a: 2 }], { ordered: false }, function (err, newDocs) {
+        assert.isNull(err);
+        newDocs.length.should.equal(2);
+
+        d.insert([{ a: 3 }], { ordered: true }, function (err, newDocs) {
+          assert.isNull(err);
+          newDocs[0].a.should.equal(3);
+          done();
+        });
+      });
+    });
+
   });   // ==== End of 'Insert' ==== //
 
 
@@ -541,8 +601,10 @@ describe('Database', function () {
 
                   d.on('compaction.done', function () {
                     // After compaction, no more mention of the document, correctly removed
+                    // Only the index and the token of the last change are left
                     var datafileContents = fs.readFileSync(testDb, 'utf8');
-                    datafileContents.split('\n').length.should.equal(2);
+                    datafileContents.split('\n').length.should.equal(3);
+                    assert.deepEqual(model.deserialize(datafileContents.split('\n')[1]), { $$changeToken: 2 });
                     assert.isNull(datafileContents.match(/world/));
 
                     // New datastore on same datafile is empty
@@ -1094,6 +1156,44 @@ describe('Database', function () {
       });
     });
 
+    it("updatedAt is only bumped, and the document only persisted and notified, when the update changes it", function (done) {
+      var events = [];
+
+      d = new Datastore({ filename: testDb, autoload: true, timestampData: { updatedAt: 'modified_at' } });
+      d.on('update', function (newDoc) { events.push(newDoc.hello); });
+      d.insert([{ hello: 'world', n: 1 }, { hello: 'mars', n: 2 }], function (err, insertedDocs) {
+        var modifiedAt = insertedDocs[0].modified_at.getTime()
+          , token = d.lastChangeToken
+          , lines = fs.readFileSync(testDb, 'utf8').split('\n').length
+          ;
+
+        setTimeout(function () {
+          // Setting a field to its current value, or updatedAt itself, changes nothing
+          d.update({}, { $set: { n: 1, modified_at: new Date(0) } }, { multi: true, returnUpdatedDocs: true }, function (err, numAffected, updatedDocs) {
+            numAffected.should.equal(2);
+            updatedDocs.length.should.equal(2);
+            d.lastChangeToken.should.equal(token + 1);
+            fs.readFileSync(testDb, 'utf8').split('\n').length.should.equal(lines + 1);
+            events.should.deep.equal(['mars']);
+
+            d.updateOne({ hello: 'world' }, { $set: { n: 1 } }, function (err, result) {
+              result.matchedCount.should.equal(1);
+              result.modifiedCount.should.equal(0);
+              d.findOne({ hello: 'world' }, function (err, doc) {
+                doc.modified_at.getTime().should.equal(modifiedAt);
+                d.findOne({ hello: 'mars' }, function (err, doc) {
+                  assert.isAbove(doc.modified_at.getTime(), modifiedAt);
+                  d.lastChangeToken.should.equal(token + 1);
+                  events.should.deep.equal(['mars']);
+                  done();
+                });
+              });
+            });
+          });
+        }, 5);
+      });
+    });
+
     it("Can update multiple documents matching the query", function (done) {
       var id1, id2, id3;
 
@@ -2108,17 +2208,19 @@ describe('Database', function () {
 
         d.getAllData().length.should.equal(0);
 
-        d.ensureIndex({ fieldName: 'z', unique: true });
-        d.indexes.z.tree.getNumberOfKeys().should.equal(0);
+        // Wait for the index creation to be persisted, so that it isn't appended to the datafile after we write it
+        d.ensureIndex({ fieldName: 'z', unique: true }, function () {
+          d.indexes.z.tree.getNumberOfKeys().should.equal(0);
 
-        fs.writeFile(testDb, rawData, 'utf8', function () {
-          d.loadDatabase(function (err) {
-            err.errorType.should.equal('uniqueViolated');
-            err.key.should.equal("1");
-            d.getAllData().length.should.equal(0);
-            d.indexes.z.tree.getNumberOfKeys().should.equal(0);
+          fs.writeFile(testDb, rawData, 'utf8', function () {
+            d.loadDatabase(function (err) {
+              err.errorType.should.equal('uniqueViolated');
+              err.key.should.equal("1");
+              d.getAllData().length.should.equal(0);
+              d.indexes.z.tree.getNumberOfKeys().should.equal(0);
 
-            done();
+              done();
+            });
           });
         });
       });
@@ -2873,4 +2975,2353 @@ describe('Database', function () {
   });   // ==== End of 'Using indexes' ==== //
 
 
+  describe('Promises', function () {
+
+    it('insert, find, findOne, count, update and remove return Promises when no callback is given', function (done) {
+      d.insert({ a: 1 }).then(function (newDoc) {
+        newDoc.a.should.equal(1);
+        return d.insert([{ a: 2 }, { a: 3 }]);
+      }).then(function (newDocs) {
+        newDocs.length.should.equal(2);
+        return d.find({}).sort({ a: -1 });
+      }).then(function (docs) {
+        _.pluck(docs, 'a').should.deep.equal([3, 2, 1]);
+        return d.findOne({ a: 2 });
+      }).then(function (doc) {
+        doc.a.should.equal(2);
+        return d.count({ a: { $gt: 1 } });
+      }).then(function (count) {
+        count.should.equal(2);
+        return d.update({ a: 2 }, { $set: { b: 'x' } }, { returnUpdatedDocs: true });
+      }).then(function (res) {
+        res.numAffected.should.equal(1);
+        res.affectedDocuments.b.should.equal('x');
+        assert.isUndefined(res.upsert);
+        return d.update({ a: 4 }, { a: 4 }, { upsert: true });
+      }).then(function (res) {
+        res.numAffected.should.equal(1);
+        res.affectedDocuments.a.should.equal(4);
+        res.upsert.should.equal(true);
+        return d.remove({ a: { $lt: 3 } }, { multi: true });
+      }).then(function (numRemoved) {
+        numRemoved.should.equal(2);
+        return d.loadDatabase();
+      }).then(function () {
+        return d.find({}, { a: 1, _id: 0 }).sort({ a: 1 });
+      }).then(function (docs) {
+        docs.should.deep.equal([{ a: 3 }, { a: 4 }]);
+        done();
+      }).catch(done);
+    });
+
+    it('A falsy callback is replaced by the Promise', function (done) {
+      d.insert({ a: 1 }, null).then(function (newDoc) {
+        newDoc.a.should.equal(1);
+        return d.remove({ a: 1 }, undefined);
+      }).then(function (numRemoved) {
+        numRemoved.should.equal(1);
+        done();
+      }).catch(done);
+    });
+
+    it('Errors reject the Promise with the same error object as with callbacks', function (done) {
+      d.ensureIndex({ fieldName: 'a', unique: true }).then(function () {
+        return d.insert({ a: 1 });
+      }).then(function () {
+        return d.insert({ a: 1 });
+      }).then(function () {
+        done(new Error('Insert should have been rejected'));
+      }, function (err) {
+        err.errorType.should.equal('uniqueViolated');
+        err.key.should.equal(1);
+        return d.ensureIndex({});
+      }).then(function () {
+        done(new Error('ensureIndex should have been rejected'));
+      }, function (err) {
+        err.missingFieldName.should.equal(true);
+        return d.removeIndex('a');
+      }).then(function () {
+        assert.isUndefined(d.indexes.a);
+        done();
+      }).catch(done);
+    });
+
+    it('Callbacks still work and nothing is returned when one is given', function (done) {
+      var res = d.insert({ a: 1 }, function (err, newDoc) {
+        assert.isNull(err);
+        assert.isUndefined(res);
+        d.find({}).exec(function (err, docs) {
+          docs.length.should.equal(1);
+          done();
+        });
+      });
+    });
+
+  });   // ==== End of 'Promises' ==== //
+
+
+  describe('findOneAndUpdate and findOneAndDelete', function () {
+
+    beforeEach(function (done) {
+      d.insert([{ name: 'a', priority: 3, n: 1 }, { name: 'b', priority: 1, n: 1 }, { name: 'c', priority: 2, n: 1 }], function (err) {
+        assert.isNull(err);
+        done();
+      });
+    });
+
+    it('findOneAndUpdate updates the first document in sort order and returns the original by default', function (done) {
+      d.findOneAndUpdate({ n: 1 }, { $inc: { n: 1 } }, { sort: { priority: 1 } }, function (err, doc) {
+        assert.isNull(err);
+        doc.name.should.equal('b');
+        doc.n.should.equal(1);
+
+        d.find({ n: 2 }, function (err, docs) {
+          docs.length.should.equal(1);
+          docs[0].name.should.equal('b');
+          done();
+        });
+      });
+    });
+
+    it('findOneAndUpdate can return the updated document and apply a projection', function (done) {
+      d.findOneAndUpdate({ n: 1 }, { $set: { done: true } }, { sort: { priority: -1 }, returnOriginal: false, projection: { name: 1, done: 1, _id: 0 } }, function (err, doc) {
+        assert.isNull(err);
+        doc.should.deep.equal({ name: 'a', done: true });
+        done();
+      });
+    });
+
+    it('findOneAndUpdate returns null if nothing matches, and can upsert', function (done) {
+      d.findOneAndUpdate({ name: 'd' }, { $set: { n: 5 } }, function (err, doc) {
+        assert.isNull(err);
+        assert.isNull(doc);
+
+        d.findOneAndUpdate({ name: 'd' }, { $set: { n: 5 } }, { upsert: true }, function (err, doc) {
+          assert.isNull(err);
+          assert.isNull(doc);
+
+          d.findOneAndUpdate({ name: 'e' }, { $set: { n: 6 } }, { upsert: true, returnOriginal: false }, function (err, doc) {
+            assert.isNull(err);
+            doc.name.should.equal('e');
+            doc.n.should.equal(6);
+
+            d.count({}, function (err, count) {
+              count.should.equal(5);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('findOneAndUpdate returns the same errors as update', function (done) {
+      d.findOneAndUpdate({ name: 'a' }, { $inc: { name: 1 } }, function (err, doc) {
+        assert.isNotNull(err);
+        assert.isUndefined(doc);
+
+        d.findOne({ name: 'a' }, function (err, doc) {
+          doc.name.should.equal('a');
+          done();
+        });
+      });
+    });
+
+    it('findOneAndDelete removes the first document in sort order and returns it', function (done) {
+      d.findOneAndDelete({}, { sort: { priority: -1 }, projection: { name: 1 } }, function (err, doc) {
+        assert.isNull(err);
+        Object.keys(doc).length.should.equal(2);
+        doc.name.should.equal('a');
+
+        d.findOneAndDelete({ name: 'z' }, function (err, doc) {
+          assert.isNull(err);
+          assert.isNull(doc);
+
+          d.loadDatabase(function () {
+            d.find({}, function (err, docs) {
+              _.pluck(docs, 'name').sort().should.deep.equal(['b', 'c']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Concurrent findOneAndDelete calls never return the same document', function (done) {
+      async.parallel([
+        function (cb) { d.findOneAndDelete({}, { sort: { priority: 1 } }, cb); }
+      , function (cb) { d.findOneAndDelete({}, { sort: { priority: 1 } }, cb); }
+      , function (cb) { d.findOneAndDelete({}, { sort: { priority: 1 } }, cb); }
+      , function (cb) { d.findOneAndDelete({}, { sort: { priority: 1 } }, cb); }
+      ], function (err, docs) {
+        assert.isNull(err);
+        docs[0].name.should.equal('b');
+        docs[1].name.should.equal('c');
+        docs[2].name.should.equal('a');
+        assert.isNull(docs[3]);
+        done();
+      });
+    });
+
+    it('findOneAndUpdate picks the document with the query of the pre hooks and returns null if they leave none', function (done) {
+      d.pre('update', function (context) { context.query = { $and: [context.query, { name: { $ne: 'b' } }] }; });
+
+      d.findOneAndUpdate({ n: 1 }, { $set: { n: 2 } }, { sort: { priority: 1 } }, function (err, doc) {
+        assert.isNull(err);
+        doc.name.should.equal('c');
+        doc.n.should.equal(1);
+
+        d.findOneAndUpdate({ name: 'b' }, { $set: { n: 2 } }, function (err, doc) {
+          assert.isNull(err);
+          assert.isNull(doc);
+
+          d.findOneAndUpdate({ name: 'b' }, { $set: { n: 2 } }, { returnOriginal: false }, function (err, doc) {
+            assert.isNull(err);
+            assert.isNull(doc);
+
+            d.find({ n: 2 }, function (err, docs) {
+              _.pluck(docs, 'name').should.deep.equal(['c']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('findOneAndDelete picks the document with the query of the pre hooks and returns null if they leave none', function (done) {
+      d.pre('remove', function (context) { context.query = { $and: [context.query, { name: { $ne: 'b' } }] }; });
+
+      d.findOneAndDelete({}, { sort: { priority: 1 } }, function (err, doc) {
+        assert.isNull(err);
+        doc.name.should.equal('c');
+
+        d.findOneAndDelete({ name: 'b' }, function (err, doc) {
+          assert.isNull(err);
+          assert.isNull(doc);
+
+          d.find({}, function (err, docs) {
+            _.pluck(docs, 'name').sort().should.deep.equal(['a', 'b']);
+            done();
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'findOneAndUpdate and findOneAndDelete' ==== //
+
+
+  describe('MongoDB-style updateOne, updateMany, replaceOne, deleteOne and deleteMany', function () {
+
+    beforeEach(function (done) {
+      d.insert([{ planet: 'Earth', system: 'solar', n: 1 }, { planet: 'Mars', system: 'solar', n: 1 }, { planet: 'Omicron', system: 'futurama', n: 2 }], function (err) {
+        assert.isNull(err);
+        done();
+      });
+    });
+
+    it('updateOne updates only one document and returns a result object', function (done) {
+      d.updateOne({ system: 'solar' }, { $inc: { n: 1 } }, function (err, result) {
+        assert.isNull(err);
+        result.should.deep.equal({ matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null });
+
+        d.count({ n: 2 }, function (err, count) {
+          count.should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('updateMany updates all matching documents and only counts the ones actually modified', function (done) {
+      d.updateMany({}, { $set: { n: 1 } }, {}, function (err, result) {
+        assert.isNull(err);
+        result.matchedCount.should.equal(3);
+        result.modifiedCount.should.equal(1);
+
+        d.loadDatabase(function () {
+          d.count({ n: 1 }, function (err, count) {
+            count.should.equal(3);
+            done();
+          });
+        });
+      });
+    });
+
+    it('replaceOne replaces a document and can upsert', function (done) {
+      d.replaceOne({ planet: 'Mars' }, { planet: 'Mars', n: 1, system: 'solar' }, function (err, result) {
+        assert.isNull(err);
+        result.matchedCount.should.equal(1);
+        result.modifiedCount.should.equal(0);   // Same document
+
+        d.replaceOne({ planet: 'Pluton' }, { planet: 'Pluton' }, { upsert: true }, function (err, result) {
+          assert.isNull(err);
+          result.matchedCount.should.equal(0);
+          result.modifiedCount.should.equal(0);
+          result.upsertedCount.should.equal(1);
+
+          d.findOne({ _id: result.upsertedId }, function (err, doc) {
+            doc.planet.should.equal('Pluton');
+            done();
+          });
+        });
+      });
+    });
+
+    it('updateOne and updateMany upsert using the query as a base', function (done) {
+      d.updateMany({ planet: 'Pluton' }, { $set: { n: 5 } }, { upsert: true }, function (err, result) {
+        assert.isNull(err);
+        result.upsertedCount.should.equal(1);
+
+        d.findOne({ _id: result.upsertedId }, function (err, doc) {
+          doc.planet.should.equal('Pluton');
+          doc.n.should.equal(5);
+          done();
+        });
+      });
+    });
+
+    it('updateOne and updateMany reject replacement documents and replaceOne rejects modifiers', function (done) {
+      d.updateOne({ planet: 'Mars' }, { n: 3 }, function (err) {
+        assert.isNotNull(err);
+        d.updateMany({ planet: 'Mars' }, {}, function (err) {
+          assert.isNotNull(err);
+          d.replaceOne({ planet: 'Mars' }, { $set: { n: 3 } }, function (err) {
+            assert.isNotNull(err);
+
+            d.count({ n: 3 }, function (err, count) {
+              count.should.equal(0);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('deleteOne and deleteMany return the number of deleted documents', function (done) {
+      d.deleteOne({ system: 'solar' }, function (err, result) {
+        assert.isNull(err);
+        result.should.deep.equal({ deletedCount: 1 });
+
+        d.deleteMany({}, {}, function (err, result) {
+          assert.isNull(err);
+          result.should.deep.equal({ deletedCount: 2 });
+
+          d.deleteMany({}).then(function (result) {
+            result.deletedCount.should.equal(0);
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+  });   // ==== End of 'MongoDB-style updateOne, updateMany, replaceOne, deleteOne and deleteMany' ==== //
+
+
+  describe('bulkWrite', function () {
+
+    it('Applies heterogeneous operations in order and returns their results', function (done) {
+      d.insert({ _id: 'id1', a: 1 }, function () {
+        d.bulkWrite([
+          { insertOne: { document: { _id: 'id2', a: 2 } } }
+        , { updateOne: { filter: { a: 1 }, update: { $set: { b: true } } } }
+        , { updateMany: { filter: {}, update: { $inc: { a: 10 } } } }
+        , { replaceOne: { filter: { _id: 'nope' }, replacement: { a: 50 }, upsert: true } }
+        , { deleteOne: { filter: { a: 12 } } }
+        ], function (err, result) {
+          assert.isNull(err);
+          result.insertedCount.should.equal(1);
+          result.insertedIds.should.deep.equal({ 0: 'id2' });
+          result.matchedCount.should.equal(3);
+          result.modifiedCount.should.equal(3);
+          result.upsertedCount.should.equal(1);
+          Object.keys(result.upsertedIds).should.deep.equal(['3']);
+          result.deletedCount.should.equal(1);
+          result.results.length.should.equal(5);
+          result.results[1].should.deep.equal({ matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null });
+          result.writeErrors.length.should.equal(0);
+
+          d.loadDatabase(function () {
+            d.find({}, function (err, docs) {
+              docs.length.should.equal(2);
+              _.find(docs, function (doc) { return doc._id === 'id1'; }).should.deep.equal({ _id: 'id1', a: 11, b: true });
+              _.find(docs, function (doc) { return doc._id === result.upsertedIds[3]; }).a.should.equal(50);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Persists all operations with one append to the datafile', function (done) {
+      var appends = 0, persistNewState = d.persistence.persistNewState;
+
+      d.persistence.persistNewState = function (newDocs, cb) {
+        appends += 1;
+        return persistNewState.call(this, newDocs, cb);
+      };
+
+      d.bulkWrite([{ insertOne: { document: { a: 1 } } }, { insertOne: { document: { a: 2 } } }, { updateMany: { filter: {}, update: { $set: { b: 1 } } } }], function (err, result) {
+        assert.isNull(err);
+        appends.should.equal(1);
+        d.persistence.persistNewState = persistNewState;
+        done();
+      });
+    });
+
+    it('In ordered mode, stops at the first failing operation but keeps the previous ones', function (done) {
+      d.ensureIndex({ fieldName: 'a', unique: true }, function () {
+        d.bulkWrite([
+          { insertOne: { document: { a: 1 } } }
+        , { insertOne: { document: { a: 1 } } }
+        , { insertOne: { document: { a: 2 } } }
+        ], function (err, result) {
+          err.errorType.should.equal('bulkWriteFailed');
+          err.writeErrors.length.should.equal(1);
+          err.writeErrors[0].index.should.equal(1);
+          err.writeErrors[0].error.errorType.should.equal('uniqueViolated');
+          result.insertedCount.should.equal(1);
+          assert.isNull(result.results[1]);
+          assert.isNull(result.results[2]);
+
+          d.loadDatabase(function () {
+            d.find({}, function (err, docs) {
+              _.pluck(docs, 'a').should.deep.equal([1]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('In unordered mode, applies all operations which do not fail', function (done) {
+      d.ensureIndex({ fieldName: 'a', unique: true }, function () {
+        d.bulkWrite([
+          { insertOne: { document: { a: 1 } } }
+        , { insertOne: { document: { a: 1 } } }
+        , { updateOne: { filter: { a: 1 }, update: { a: 3 } } }
+        , { unknownOp: {} }
+        , { insertOne: { document: { a: 2 } } }
+        ], { ordered: false }).then(function () {
+          done(new Error('bulkWrite should have been rejected'));
+        }, function (err) {
+          _.pluck(err.writeErrors, 'index').should.deep.equal([1, 2, 3]);
+          err.result.insertedCount.should.equal(2);
+
+          d.loadDatabase(function () {
+            d.find({}, function (err, docs) {
+              _.pluck(docs, 'a').sort().should.deep.equal([1, 2]);
+              done();
+            });
+          });
+        }).catch(done);
+      });
+    });
+
+  });   // ==== End of 'bulkWrite' ==== //
+
+
+  describe('distinct', function () {
+
+    beforeEach(function (done) {
+      d.insert([ { planet: 'Earth', system: 'solar', moons: ['Moon'], info: { temp: 15 } }
+               , { planet: 'Mars', system: 'solar', moons: ['Phobos', 'Deimos'], info: { temp: -60 } }
+               , { planet: 'Jupiter', system: 'solar', moons: ['Io', 'Europa'], info: { temp: -110 } }
+               , { planet: 'Omicron Persei 8', system: 'futurama', info: { temp: 15 } }
+               , { planet: 'Unknown', system: null }
+               ], function (err) {
+        assert.isNull(err);
+        done();
+      });
+    });
+
+    it('Returns the sorted distinct values of a field, ignoring documents which do not have it', function (done) {
+      d.distinct('system', function (err, values) {
+        assert.isNull(err);
+        values.should.deep.equal([null, 'futurama', 'solar']);
+        done();
+      });
+    });
+
+    it('Can use the dot notation and a query', function (done) {
+      d.distinct('info.temp', { system: 'solar' }, function (err, values) {
+        assert.isNull(err);
+        values.should.deep.equal([-110, -60, 15]);
+
+        d.distinct('info.temp').then(function (values) {
+          values.should.deep.equal([-110, -60, 15]);
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('Array fields give one value per element', function (done) {
+      d.distinct('moons', { planet: { $ne: 'Earth' } }, function (err, values) {
+        assert.isNull(err);
+        values.should.deep.equal(['Deimos', 'Europa', 'Io', 'Phobos']);
+        done();
+      });
+    });
+
+    it('With an empty query and an indexed field, reads the values from the index and gives the same result', function (done) {
+      d.distinct('moons', function (err, fromDocs) {
+        d.ensureIndex({ fieldName: 'moons' }, function () {
+          d.indexes.moons.getAll = function () { throw new Error('Documents should not be used'); };
+          d.indexes._id.getAll = function () { throw new Error('Documents should not be used'); };
+
+          d.distinct('moons', {}, function (err, fromIndex) {
+            assert.isNull(err);
+            fromIndex.should.deep.equal(fromDocs);
+            fromIndex.length.should.equal(5);
+            done();
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'distinct' ==== //
+
+
+  describe('Aggregation', function () {
+
+    beforeEach(function (done) {
+      d.insert([ { planet: 'Earth', system: 'solar', moons: 1 }
+               , { planet: 'Mars', system: 'solar', moons: 2 }
+               , { planet: 'Jupiter', system: 'solar', moons: 79 }
+               , { planet: 'Omicron Persei 8', system: 'futurama', moons: 0 }
+               ], function (err) {
+        assert.isNull(err);
+        done();
+      });
+    });
+
+    it('Runs the pipeline on the collection without modifying it', function (done) {
+      d.aggregate([{ $group: { _id: '$system', moons: { $sum: '$moons' } } }, { $sort: { moons: -1 } }], function (err, res) {
+        assert.isNull(err);
+        res.should.deep.equal([{ _id: 'solar', moons: 82 }, { _id: 'futurama', moons: 0 }]);
+
+        d.aggregate([{ $project: { planet: 0 } }]).then(function (res) {
+          res.length.should.equal(4);
+          d.getAllData().forEach(function (doc) { assert.isDefined(doc.planet); });
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('A leading $match is used to get the candidates', function (done) {
+      var getCandidates = d.getCandidates, queries = [];
+
+      d.getCandidates = function (query) {
+        queries.push(query);
+        return getCandidates.apply(this, arguments);
+      };
+
+      d.ensureIndex({ fieldName: 'system' }, function () {
+        d.aggregate([{ $match: { system: 'solar' } }, { $count: 'n' }], function (err, res) {
+          assert.isNull(err);
+          res.should.deep.equal([{ n: 3 }]);
+          queries.should.deep.equal([{ system: 'solar' }]);
+          done();
+        });
+      });
+    });
+
+    it('Returns an error if the pipeline is invalid', function (done) {
+      d.aggregate([{ $match: { system: 'solar' } }, { $nope: 1 }], function (err, res) {
+        assert.isNotNull(err);
+        assert.isUndefined(res);
+        done();
+      });
+    });
+
+  });   // ==== End of 'Aggregation' ==== //
+
+
+  describe('Write events', function () {
+
+    it('insert, update and remove events are fired with copies of the documents once the write is persisted', function (done) {
+      var events = [];
+
+      d.on('insert', function (doc) {
+        // Already persisted
+        fs.readFileSync(testDb, 'utf8').should.contain(doc._id);
+        events.push(['insert', doc.a]);
+        doc.a = 'modified';
+      });
+      d.on('update', function (newDoc, oldDoc) { events.push(['update', newDoc.a, oldDoc.a]); });
+      d.on('remove', function (doc) { events.push(['remove', doc.a]); });
+
+      d.insert([{ a: 1 }, { a: 2 }], function () {
+        d.update({ a: 1 }, { $set: { a: 3 } }, {}, function () {
+          d.update({ a: 5 }, { a: 5 }, { upsert: true }, function () {
+            d.remove({}, { multi: true }, function () {
+              events.slice(0, 4).should.deep.equal([['insert', 1], ['insert', 2], ['update', 3, 1], ['insert', 5]]);
+              // Removal order depends on the order of the _id index
+              _.pluck(events.slice(4), 0).should.deep.equal(['remove', 'remove', 'remove']);
+              _.pluck(events.slice(4), 1).sort().should.deep.equal([2, 3, 5]);
+              d.getAllData().length.should.equal(0);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Events are fired by all write functions', function (done) {
+      var events = [];
+
+      ['insert', 'update', 'remove'].forEach(function (type) {
+        d.on(type, function (doc) { events.push(type + ' ' + doc.a); });
+      });
+
+      d.insert([{ a: 1 }, { a: 1 }], { ordered: false }, function () {
+        d.updateOne({ a: 1 }, { $set: { b: 1 } }, function () {
+          d.findOneAndDelete({ b: 1 }, function () {
+            d.bulkWrite([{ insertOne: { document: { a: 2 } } }, { deleteMany: { filter: {} } }], function () {
+              events.slice(0, 5).should.deep.equal(['insert 1', 'insert 1', 'update 1', 'remove 1', 'insert 2']);
+              events.slice(5).sort().should.deep.equal(['remove 1', 'remove 2']);   // deleteMany removes documents in no particular order
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('No event is fired if the write fails', function (done) {
+      var events = 0;
+
+      d.on('insert', function () { events += 1; });
+      d.ensureIndex({ fieldName: 'a', unique: true });
+      d.insert([{ a: 1 }, { a: 1 }], function (err) {
+        assert.isNotNull(err);
+        events.should.equal(0);
+        done();
+      });
+    });
+
+    it('Expired documents fire an expire event and not a remove event', function (done) {
+      var expired = [], removed = [];
+
+      d.on('expire', function (doc) { expired.push(doc.a); });
+      d.on('remove', function (doc) { removed.push(doc.a); });
+      d.ensureIndex({ fieldName: 'exp', expireAfterSeconds: 0 }, function () {
+        d.insert([{ a: 1, exp: new Date(Date.now() - 1000) }, { a: 2, exp: new Date(Date.now() + 100000) }], function () {
+          d.find({}, function (err, docs) {
+            docs.length.should.equal(1);
+            expired.should.deep.equal([1]);
+            removed.length.should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('A throwing listener does not prevent the next operations from executing', function (done) {
+      var currentUncaughtExceptionHandlers = process.listeners('uncaughtException');
+
+      process.removeAllListeners('uncaughtException');
+      process.on('uncaughtException', function () {
+        // Expected error from the listener
+      });
+
+      d.on('insert', function () { throw new Error('Listener error'); });
+      d.insert({ a: 1 }, function (err) {
+        assert.isNull(err);
+        d.find({}, function (err, docs) {
+          docs.length.should.equal(1);
+
+          setImmediate(function () {
+            process.removeAllListeners('uncaughtException');
+            currentUncaughtExceptionHandlers.forEach(function (handler) { process.on('uncaughtException', handler); });
+            done();
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Write events' ==== //
+
+
+  describe('Change streams', function () {
+
+    it('Emits a change record with an increasing token for each write', function (done) {
+      var records = []
+        , stream = d.watch();
+
+      stream.on('change', function (record) { records.push(record); });
+      d.insert([{ a: 1 }, { a: 2, b: 'x' }], function (err, docs) {
+        d.update({ a: 2 }, { $set: { a: 3 }, $unset: { b: true } }, {}, function () {
+          d.remove({ a: 1 }, {}, function () {
+            _.pluck(records, 'token').should.deep.equal([1, 2, 3, 4]);
+            _.pluck(records, 'operationType').should.deep.equal(['insert', 'insert', 'update', 'delete']);
+
+            records[0].documentKey.should.deep.equal({ _id: docs[0]._id });
+            records[0].fullDocument.should.deep.equal(docs[0]);
+            assert.isUndefined(records[0].updateDescription);
+
+            records[2].fullDocument.should.deep.equal({ _id: docs[1]._id, a: 3 });
+            records[2].updateDescription.should.deep.equal({ updatedFields: { a: 3 }, removedFields: ['b'] });
+
+            records[3].documentKey.should.deep.equal({ _id: docs[0]._id });
+            assert.isUndefined(records[3].fullDocument);
+
+            stream.resumeToken.should.equal(4);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Only emits the records matching the filter, until the stream is closed', function (done) {
+      var records = []
+        , stream = d.watch({ operationType: 'insert', 'fullDocument.a': { $gt: 1 } });
+
+      stream.on('change', function (record) { records.push(record.fullDocument.a); });
+      d.insert([{ a: 1 }, { a: 2 }, { a: 3 }], function () {
+        d.update({}, { $set: { a: 5 } }, { multi: true }, function () {
+          stream.close();
+          d.changeStreams.length.should.equal(0);
+          d.insert({ a: 4 }, function () {
+            records.should.deep.equal([2, 3]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Can resume after a token, even after a restart, if the change history is retained', function (done) {
+      var db = new Datastore({ filename: testDb, retainChangeHistory: true });
+
+      db.loadDatabase(function () {
+        db.insert({ _id: 'a', n: 1 }, function () {
+          db.update({ _id: 'a' }, { $inc: { n: 1 } }, {}, function () {
+            db.insert({ _id: 'b' }, function () {
+              // Restart twice, the history must survive the compaction done on load
+              db = new Datastore({ filename: testDb, retainChangeHistory: true });
+              db.loadDatabase(function () {
+                db = new Datastore({ filename: testDb, retainChangeHistory: true });
+                db.loadDatabase(function () {
+                  var records = []
+                    , stream = db.watch({}, { resumeAfter: 1 });
+
+                  db.lastChangeToken.should.equal(3);
+                  stream.on('change', function (record) { records.push(record); });
+                  db.remove({ _id: 'a' }, {}, function () {
+                    _.pluck(records, 'token').should.deep.equal([2, 3, 4]);
+                    _.pluck(records, 'operationType').should.deep.equal(['update', 'insert', 'delete']);
+                    records[0].fullDocument.should.deep.equal({ _id: 'a', n: 2 });
+                    records[0].updateDescription.should.deep.equal({ updatedFields: { n: 2 }, removedFields: [] });
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Resuming from a token older than the last compaction is an error', function (done) {
+      var db = new Datastore({ filename: testDb, retainChangeHistory: true });
+
+      db.loadDatabase(function () {
+        db.insert([{ a: 1 }, { a: 2 }], function () {
+          db.persistence.compactDatafile();
+          db.once('compaction.done', function () {
+            db.changeHistory.length.should.equal(0);
+            db.watch({}, { resumeAfter: 1 }).on('error', function (err) {
+              err.errorType.should.equal('changeHistoryLost');
+
+              // Tokens keep increasing after the compaction and a restart
+              db = new Datastore({ filename: testDb, retainChangeHistory: true });
+              db.loadDatabase(function () {
+                var records = [];
+
+                db.watch({}, { resumeAfter: 2 }).on('change', function (record) { records.push(record.token); });
+                db.insert({ a: 3 }, function () {
+                  records.should.deep.equal([3]);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Without retained history, a stream can only resume after the last token', function (done) {
+      d.insert([{ a: 1 }, { a: 2 }], function () {
+        d.changeHistory.length.should.equal(0);
+        d.watch({}, { resumeAfter: 1 }).on('error', function (err) {
+          var records = [];
+
+          err.errorType.should.equal('changeHistoryLost');
+          d.watch({}, { resumeAfter: 2 }).on('change', function (record) { records.push(record.token); });
+          d.insert({ a: 3 }, function () {
+            records.should.deep.equal([3]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Tokens keep increasing across restarts, even without retained history', function (done) {
+      d.insert([{ _id: '1', a: 1 }, { _id: '2', a: 1 }], function () {
+        d.update({}, { $inc: { a: 1 } }, { multi: true }, function () {
+          d.remove({ _id: '2' }, {}, function () {
+            d.lastChangeToken.should.equal(5);
+            d.loadDatabase(function () {
+              d.lastChangeToken.should.equal(5);
+              d.loadDatabase(function () {
+                d.lastChangeToken.should.equal(5);
+                d.insert({ a: 3 }, function () {
+                  d.lastChangeToken.should.equal(6);
+                  d.loadDatabase(function () {
+                    d.lastChangeToken.should.equal(6);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Change streams' ==== //
+
+
+  describe('Hooks', function () {
+
+    it('Can only register functions for known operations', function () {
+      (function () { d.pre('upsert', function () {}); }).should.throw();
+      (function () { d.post('insert', 'nope'); }).should.throw();
+    });
+
+    it('pre insert hooks can modify the prepared document of every insert function, post insert hooks see the inserted copies', function (done) {
+      var inserted = [];
+
+      d.pre('insert', function (context) {
+        this.should.equal(d);
+        context.doc._id.should.be.a('string');
+        context.doc.checked = true;
+      });
+      d.pre('insert', function (context, next) {
+        setTimeout(function () {
+          context.doc = _.extend({ order: 2 }, context.doc);
+          next();
+        }, 1);
+      });
+      d.post('insert', function (context) {
+        inserted.push(context.doc.a);
+        context.doc.a = 'modified';
+      });
+
+      d.insert({ a: 1 }, function (err, doc) {
+        assert.isNull(err);
+        doc.checked.should.equal(true);
+        doc.order.should.equal(2);
+        d.insert([{ a: 2 }, { a: 3 }], { ordered: false }, function (err) {
+          assert.isNull(err);
+          d.bulkWrite([{ insertOne: { document: { a: 4 } } }], function (err) {
+            assert.isNull(err);
+            d.find({}, function (err, docs) {
+              docs.length.should.equal(4);
+              _.pluck(docs, 'checked').should.deep.equal([true, true, true, true]);
+              _.pluck(docs, 'order').should.deep.equal([2, 2, 2, 2]);
+              inserted.should.deep.equal([1, 2, 3, 4]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('A pre insert hook can reject a document', function (done) {
+      d.pre('insert', function (context, next) {
+        if (context.doc.a < 0) { return next(new Error('a must be positive')); }
+        return next();
+      });
+
+      d.insert([{ a: 1 }, { a: -1 }], function (err) {
+        err.message.should.equal('a must be positive');
+        d.insert([{ a: 1 }, { a: -1 }, { a: 2 }], { ordered: false }, function (err, docs) {
+          err.errorType.should.equal('bulkWriteFailed');
+          err.writeErrors.length.should.equal(1);
+          err.writeErrors[0].index.should.equal(1);
+          _.pluck(docs, 'a').should.deep.equal([1, 2]);
+          d.find({}, function (err, docs) {
+            docs.length.should.equal(2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('pre update hooks can modify the update and the post hooks share their context', function (done) {
+      var results = [];
+
+      d.pre('update', function (context) {
+        context.update.$set = _.extend({ audited: true }, context.update.$set);
+        context.start = 'started';
+      });
+      d.post('update', function (context) {
+        results.push([context.start, context.result.numMatched, context.result.numModified, _.pluck(context.result.updatedDocs, 'a').sort(), context.result.upsertedDoc]);
+      });
+
+      d.insert([{ a: 1 }, { a: 2 }], function () {
+        d.update({}, { $set: { b: 1 } }, { multi: true }, function (err, n) {
+          assert.isNull(err);
+          n.should.equal(2);
+          d.updateOne({ a: 1 }, { $set: { b: 2 } }, function () {
+            d.updateOne({ a: 3 }, { $set: { b: 3 } }, { upsert: true }, function () {
+              d.find({ audited: true }, function (err, docs) {
+                docs.length.should.equal(3);
+                results[0].should.deep.equal(['started', 2, 2, [1, 2], null]);
+                results[1].should.deep.equal(['started', 1, 1, [1], null]);
+                results[2][4].a.should.equal(3);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('pre remove hooks can reject a removal, post remove hooks see the removed documents, expirations run no hook', function (done) {
+      var removed = [];
+
+      d.pre('remove', function (context) {
+        if (context.query.protected) { throw new Error('Protected documents cannot be removed'); }
+      });
+      d.post('remove', function (context) { removed = removed.concat(_.pluck(context.result.removedDocs, 'a')); });
+
+      d.ensureIndex({ fieldName: 'exp', expireAfterSeconds: 0 }, function () {
+        d.insert([{ a: 1, protected: true }, { a: 2 }, { a: 3, exp: new Date(Date.now() - 1000) }], function () {
+          d.remove({ protected: true }, {}, function (err) {
+            err.message.should.contain('Protected');
+            d.find({}, function (err, docs) {   // Expires the third document
+              docs.length.should.equal(2);
+              d.deleteMany({}, function (err, res) {
+                assert.isNull(err);
+                res.deletedCount.should.equal(2);
+                removed.sort().should.deep.equal([1, 2]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('pre find hooks can modify the query and post find hooks the results, of find, findOne, count and cursors', function (done) {
+      d.pre('find', function (context) {
+        context.query = { $and: [context.query, { archived: { $ne: true } }] };
+      });
+      d.post('find', function (context) {
+        context.docs.forEach(function (doc) { doc.seen = true; });
+      });
+
+      d.insert([{ a: 1 }, { a: 2, archived: true }, { a: 3 }], function () {
+        d.find({}, function (err, docs) {
+          docs.length.should.equal(2);
+          _.pluck(docs, 'seen').should.deep.equal([true, true]);
+          d.count({ a: { $gt: 1 } }, function (err, n) {
+            n.should.equal(1);
+            d.findOne({ a: 2 }, function (err, doc) {
+              assert.isNull(doc);
+              d.find({}).sort({ a: -1 }).exec(function (err, docs) {
+                _.pluck(docs, 'a').should.deep.equal([3, 1]);
+
+                // The cache wasn't modified by the post hook
+                _.pluck(d.getAllData(), 'seen').should.deep.equal([undefined, undefined, undefined]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('An error in a post hook is given to the callback, the write being already persisted', function (done) {
+      d.post('insert', function (context, next) { next(new Error('Audit failed')); });
+
+      d.insert({ a: 1 }, function (err) {
+        err.message.should.equal('Audit failed');
+        d.find({}, function (err, docs) {
+          docs.length.should.equal(1);
+          done();
+        });
+      });
+    });
+
+  });   // ==== End of 'Hooks' ==== //
+
+
+  describe('Schema validation', function () {
+    var planetSchema = { type: 'object', required: ['name'], properties: { name: { type: 'string' }, moons: { type: 'integer', minimum: 0 } } };
+
+    it('Options are checked', function () {
+      (function () { new Datastore({ schema: 'nope' }); }).should.throw();
+      (function () { new Datastore({ schema: planetSchema, validationLevel: 'off' }); }).should.throw();
+      (function () { new Datastore({ schema: planetSchema, validationAction: 'ignore' }); }).should.throw();
+      (function () { new Datastore({ schema: { type: 'obejct' } }); }).should.throw('Unknown type obejct in schema');
+      (function () { new Datastore({ schema: { properties: { name: { type: 'string', pattern: '^[A-Z' } } } }); }).should.throw('Invalid pattern');
+    });
+
+    it('Invalid inserted documents are rejected by all insert functions', function (done) {
+      var db = new Datastore({ schema: planetSchema });
+
+      db.insert({ moons: 1 }, function (err) {
+        err.errorType.should.equal('schemaValidationFailed');
+        err.validationErrors.should.deep.equal([{ path: 'name', message: 'is required' }]);
+        db.insert([{ name: 'Mars' }, { name: 'Earth', moons: -1 }, { name: 'Venus' }], { ordered: false }, function (err) {
+          err.writeErrors.length.should.equal(1);
+          err.writeErrors[0].error.validationErrors[0].path.should.equal('moons');
+          db.bulkWrite([{ insertOne: { document: { name: 3 } } }], function (err) {
+            err.writeErrors[0].error.errorType.should.equal('schemaValidationFailed');
+            db.find({}, function (err, docs) {
+              _.pluck(docs, 'name').sort().should.deep.equal(['Mars', 'Venus']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Documents are validated after the pre insert hooks', function (done) {
+      var db = new Datastore({ schema: planetSchema });
+
+      db.pre('insert', function (context) { if (context.doc.name === undefined) { context.doc.name = 'Unnamed'; } });
+      db.insert({ moons: 1 }, function (err, doc) {
+        assert.isNull(err);
+        doc.name.should.equal('Unnamed');
+        done();
+      });
+    });
+
+    it('Updated and upserted documents are validated, and a multi update is rejected as a whole', function (done) {
+      var db = new Datastore({ schema: planetSchema });
+
+      db.insert([{ name: 'Mars', moons: 2 }, { name: 'Earth', moons: 1 }], function () {
+        db.update({}, { $inc: { moons: -2 } }, { multi: true }, function (err) {
+          err.validationErrors[0].path.should.equal('moons');
+          db.update({ name: 'Venus' }, { $set: { moons: 0.5 } }, { upsert: true }, function (err) {
+            err.errorType.should.equal('schemaValidationFailed');
+            db.find({}, function (err, docs) {
+              docs.length.should.equal(2);
+              _.pluck(docs, 'moons').sort().should.deep.equal([1, 2]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('With validationLevel moderate, updates of documents which were already invalid are not validated', function (done) {
+      var db = new Datastore({ validationLevel: 'moderate' });
+
+      db.insert([{ name: 'Mars' }, { moons: 1 }], function () {
+        db.schema = planetSchema;   // Added after the documents were inserted
+        db.update({ moons: 1 }, { $set: { moons: -1 } }, {}, function (err) {
+          assert.isNull(err);
+          db.update({ name: 'Mars' }, { $set: { moons: -1 } }, {}, function (err) {
+            err.errorType.should.equal('schemaValidationFailed');
+            db.insert({ moons: 1 }, function (err) {
+              err.errorType.should.equal('schemaValidationFailed');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('With validationAction warn, invalid documents are written and a validationWarning event is fired', function (done) {
+      var db = new Datastore({ schema: planetSchema, validationAction: 'warn' })
+        , warnings = [];
+
+      db.on('validationWarning', function (err, doc) { warnings.push([err.validationErrors[0].path, doc.moons]); });
+      db.insert({ moons: 1 }, function (err) {
+        assert.isNull(err);
+        db.update({ moons: 1 }, { $set: { moons: -1 } }, {}, function (err) {
+          assert.isNull(err);
+          warnings.should.deep.equal([['name', 1], ['name', -1]]);
+          db.count({}, function (err, n) {
+            n.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Schema validation' ==== //
+
+
+
+  describe('Defaults and coercion', function () {
+
+    it('Options are checked', function () {
+      (function () { new Datastore({ defaults: 'nope' }); }).should.throw();
+      (function () { new Datastore({ coerce: { age: 'integer' } }); }).should.throw();
+    });
+
+    it('Missing fields get their default value, function defaults are called for each document', function (done) {
+      var n = 0
+        , db = new Datastore({ defaults: { status: 'new', tags: [], 'meta.rank': function () { n += 1; return n; } } })
+        ;
+
+      db.insert([{ name: 'a' }, { name: 'b', status: 'done', meta: { rank: 10, x: 1 } }, { name: 'c', status: null }], function (err, docs) {
+        assert.isNull(err);
+        docs[0].status.should.equal('new');
+        docs[0].tags.should.deep.equal([]);
+        docs[0].meta.should.deep.equal({ rank: 1 });
+        docs[1].status.should.equal('done');
+        docs[1].meta.should.deep.equal({ rank: 10, x: 1 });
+        assert.isNull(docs[2].status);
+        docs[2].meta.rank.should.equal(2);
+        n.should.equal(2);
+
+        // Default values are copied, not shared between documents
+        docs[0].tags.push('x');
+        db.findOne({ name: 'c' }, function (err, doc) {
+          doc.tags.should.deep.equal([]);
+          done();
+        });
+      });
+    });
+
+    it('Fields are coerced, including default values, and the insert fails if one cannot be', function (done) {
+      var db = new Datastore({ defaults: { visits: '0' }, coerce: { age: 'number', visits: 'number', 'dates.birth': 'date' } });
+
+      db.insert({ age: '42', dates: { birth: '1985-06-01T00:00:00.000Z' } }, function (err, doc) {
+        assert.isNull(err);
+        doc.age.should.equal(42);
+        doc.visits.should.equal(0);
+        (doc.dates.birth instanceof Date).should.equal(true);
+        doc.dates.birth.getTime().should.equal(Date.UTC(1985, 5, 1));
+
+        db.insert({ age: 'old' }, function (err) {
+          err.message.should.contain('age');
+          db.count({}, function (err, n) {
+            n.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Defaults and coercion apply to upserted documents but not to updates', function (done) {
+      var db = new Datastore({ defaults: { status: 'new' }, coerce: { age: 'number' } });
+
+      db.update({ name: 'a' }, { $set: { age: '5' } }, { upsert: true }, function (err, n, upsertedDoc) {
+        upsertedDoc.should.deep.equal({ _id: upsertedDoc._id, name: 'a', age: 5, status: 'new' });
+        db.update({ name: 'a' }, { $set: { age: '6' }, $unset: { status: true } }, {}, function () {
+          db.findOne({ name: 'a' }, function (err, doc) {
+            doc.age.should.equal('6');
+            assert.isUndefined(doc.status);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Defaults are applied before the schema validation', function (done) {
+      var db = new Datastore({ defaults: { status: 'new' }, schema: { type: 'object', required: ['status'] } });
+
+      db.insert({ name: 'a' }, function (err, doc) {
+        assert.isNull(err);
+        doc.status.should.equal('new');
+        done();
+      });
+    });
+
+  });   // ==== End of 'Defaults and coercion' ==== //
+
+
+
+  describe('_id generation', function () {
+
+    it('The idGenerator option is checked', function () {
+      (function () { new Datastore({ idGenerator: 'nope' }); }).should.throw();
+      (function () { new Datastore({ idGenerator: 3 }); }).should.throw();
+    });
+
+    it('Uses the built-in strategy given by the idGenerator option, uid by default', function (done) {
+      var db = new Datastore({ idGenerator: 'ulid' });
+
+      new Datastore().idGenerator().should.match(/^[a-zA-Z0-9]{16}$/);
+      db.insert([{ n: 1 }, { n: 2 }, { n: 3 }], function (err) {
+        assert.isNull(err);
+        // ULIDs are time-sortable so the _id index gives the insertion order
+        db.find({}).sort({ _id: -1 }).exec(function (err, docs) {
+          _.pluck(docs, 'n').should.deep.equal([3, 2, 1]);
+          docs[0]._id.length.should.equal(26);
+          done();
+        });
+      });
+    });
+
+    it('Uses a custom function, also for upserts, and retries if the _id is already used', function (done) {
+      var ids = ['a', 'a', 'b', 'c']
+        , db = new Datastore({ idGenerator: function () { return ids.shift(); } })
+        ;
+
+      db.insert({ n: 1 }, function (err, doc) {
+        doc._id.should.equal('a');
+        db.insert({ n: 2 }, function (err, doc) {
+          doc._id.should.equal('b');
+          db.update({ n: 3 }, { $set: { m: 1 } }, { upsert: true }, function (err, n, doc) {
+            doc._id.should.equal('c');
+
+            // The generator returns undefined now that ids is empty
+            db.insert({ n: 4 }, function (err) {
+              assert.isNotNull(err);
+              db.count({}, function (err, n) {
+                n.should.equal(3);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of '_id generation' ==== //
+
+
+
+  describe('Sequences', function () {
+
+    it('nextSequence returns consecutive values, with the given start and step', function (done) {
+      var db = new Datastore();
+
+      db.nextSequence('invoice', function (err, value) {
+        assert.isNull(err);
+        value.should.equal(1);
+        db.nextSequence('invoice', function (err, value) {
+          value.should.equal(2);
+          db.nextSequence('order', { start: 1000, step: 10 }, function (err, value) {
+            value.should.equal(1000);
+            db.nextSequence('order', { start: 1000, step: 10 }).then(function (value) {
+              value.should.equal(1010);
+              db.nextSequence('', function (err) {
+                assert.isNotNull(err);
+                db.nextSequence('order', { step: 0 }, function (err) {
+                  assert.isNotNull(err);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Concurrent calls never get the same value', function (done) {
+      var db = new Datastore();
+
+      async.map(_.range(20), function (i, cb) { db.nextSequence('n', cb); }, function (err, values) {
+        values.sort(function (a, b) { return a - b; }).should.deep.equal(_.range(1, 21));
+        done();
+      });
+    });
+
+    it('Sequences are persisted and survive compaction and reload', function (done) {
+      d.nextSequence('invoice', function () {
+        d.nextSequence('invoice', function () {
+          fs.readFileSync(testDb, 'utf8').should.contain('{"$$sequence":{"name":"invoice","value":2}}');
+          d.persistence.persistCachedDatabase(function () {
+            fs.readFileSync(testDb, 'utf8').split('\n').length.should.equal(2);
+            d.loadDatabase(function () {
+              d.nextSequence('invoice', function (err, value) {
+                value.should.equal(3);
+                d.loadDatabase(function () {
+                  d.sequences.should.deep.equal({ invoice: 3 });
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('The idGenerator option can use the _id sequence, which is persisted with the inserted documents', function (done) {
+      d = new Datastore({ filename: testDb, idGenerator: 'sequence' });
+      d.loadDatabase(function () {
+        d.insert([{ a: 1 }, { a: 2 }], function (err, docs) {
+          _.pluck(docs, '_id').should.deep.equal([1, 2]);
+          d.insert({ _id: 3, a: 3 }, function () {
+            d.remove({ a: 2 }, {}, function () {
+              d.loadDatabase(function () {
+                // 3 is already used, so it is skipped
+                d.insert({ a: 4 }, function (err, doc) {
+                  doc._id.should.equal(4);
+                  d.nextSequence('_id', function (err, value) {
+                    value.should.equal(5);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Sequences' ==== //
+
+
+
+  describe('Version key', function () {
+
+    it('The versionKey option is checked', function () {
+      (function () { new Datastore({ versionKey: 'a.b' }); }).should.throw();
+      (function () { new Datastore({ versionKey: '_id' }); }).should.throw();
+      (function () { new Datastore({ versionKey: 'updatedAt', timestampData: true }); }).should.throw();
+    });
+
+    it('Inserted documents are at version 0 and every modification increments the version', function (done) {
+      var db = new Datastore({ versionKey: '__v' });
+
+      db.insert([{ a: 1 }, { a: 2, __v: 5 }], function (err, docs) {
+        docs[0].__v.should.equal(0);
+        docs[1].__v.should.equal(5);
+        db.update({}, { $set: { a: 2 } }, { multi: true }, function () {
+          // A replacement omitting the key, or a modifier setting it, keeps it
+          db.update({ a: 2, __v: 1 }, { b: 1 }, {}, function () {
+            db.update({ b: 1 }, { $set: { __v: 42 } }, {}, function () {
+              db.find({}).sort({ __v: 1 }).exec(function (err, docs) {
+                docs.length.should.equal(2);
+                docs[0].should.deep.equal({ _id: docs[0]._id, b: 1, __v: 2 });
+                docs[1].should.deep.equal({ _id: docs[1]._id, a: 2, __v: 5 });   // Not modified by the update
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('An update with ifVersion fails with a VersionConflictError if the stored version differs', function (done) {
+      var db = new Datastore({ versionKey: '__v' });
+
+      db.insert({ _id: 'doc', a: 1 }, function () {
+        db.update({ _id: 'doc' }, { $set: { a: 2 } }, { ifVersion: 0 }, function (err, n) {
+          assert.isNull(err);
+          n.should.equal(1);
+
+          // The other editor still has version 0
+          db.update({ _id: 'doc' }, { $set: { a: 3 } }, { ifVersion: 0 }, function (err) {
+            (err instanceof Datastore.VersionConflictError).should.equal(true);
+            (err instanceof Error).should.equal(true);
+            err.errorType.should.equal('versionConflict');
+            err.expectedVersion.should.equal(0);
+            err.currentVersion.should.equal(1);
+            db.updateOne({ _id: 'doc' }, { $set: { a: 3 } }, { ifVersion: 0 }, function (err) {
+              err.errorType.should.equal('versionConflict');
+              db.findOneAndUpdate({ _id: 'doc' }, { $set: { a: 3 } }, { ifVersion: 0 }, function (err) {
+                err.errorType.should.equal('versionConflict');
+                db.bulkWrite([{ replaceOne: { filter: { _id: 'doc' }, replacement: { a: 3 }, ifVersion: 0 } }], function (err) {
+                  err.writeErrors[0].error.errorType.should.equal('versionConflict');
+                  db.findOne({ _id: 'doc' }, function (err, doc) {
+                    doc.should.deep.equal({ _id: 'doc', a: 2, __v: 1 });
+                    db.updateOne({ _id: 'doc' }, { $set: { a: 3 } }, { ifVersion: 1 }, function (err, result) {
+                      result.modifiedCount.should.equal(1);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('A multi update with ifVersion is rejected as a whole, and ifVersion needs the versionKey option', function (done) {
+      var db = new Datastore({ versionKey: '__v' });
+
+      db.insert([{ a: 1 }, { a: 1, __v: 1 }], function () {
+        db.update({ a: 1 }, { $set: { a: 2 } }, { multi: true, ifVersion: 0 }, function (err) {
+          err.errorType.should.equal('versionConflict');
+          db.count({ a: 1 }, function (err, n) {
+            n.should.equal(2);
+            new Datastore().update({}, { $set: { a: 1 } }, { ifVersion: 0 }, function (err) {
+              assert.isNotNull(err);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Version key' ==== //
+
+
+
+  describe('Soft delete', function () {
+
+    it('The softDelete option is checked', function () {
+      (function () { new Datastore({ softDelete: 'yes' }); }).should.throw();
+      (function () { new Datastore({ softDelete: { deletedAt: 'a.b' } }); }).should.throw();
+      (function () { new Datastore({ softDelete: true, versionKey: 'deletedAt' }); }).should.throw();
+    });
+
+    it('Removed documents are marked and ignored by find, findOne, count and updates unless withDeleted is used', function (done) {
+      var db = new Datastore({ softDelete: true });
+
+      db.insert([{ _id: '1', a: 1 }, { _id: '2', a: 2 }, { _id: '3', a: 3 }], function () {
+        db.remove({ a: { $lte: 2 } }, { multi: true }, function (err, n) {
+          n.should.equal(2);
+          db.remove({ _id: '1' }, {}, function (err, n) {
+            n.should.equal(0);   // Already deleted
+            db.find({}, function (err, docs) {
+              _.pluck(docs, '_id').should.deep.equal(['3']);
+              db.count({}, function (err, n) {
+                n.should.equal(1);
+                db.findOne({ _id: '1' }, function (err, doc) {
+                  assert.isNull(doc);
+                  db.update({}, { $set: { b: 1 } }, { multi: true }, function (err, n) {
+                    n.should.equal(1);
+                    db.find({}).withDeleted().sort({ _id: 1 }).exec(function (err, docs) {
+                      docs.length.should.equal(3);
+                      (docs[0].deletedAt instanceof Date).should.equal(true);
+                      assert.isUndefined(docs[0].b);
+                      assert.isUndefined(docs[2].deletedAt);
+                      db.count({}).withDeleted().exec(function (err, n) {
+                        n.should.equal(3);
+                        done();
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Soft deletions are persisted as updates, not deletions', function (done) {
+      d = new Datastore({ filename: testDb, softDelete: { deletedAt: 'deleted_at' } });
+      d.loadDatabase(function () {
+        d.insert({ _id: '1', a: 1 }, function () {
+          d.deleteOne({ _id: '1' }, function (err, result) {
+            result.deletedCount.should.equal(1);
+            fs.readFileSync(testDb, 'utf8').should.not.contain('$$deleted');
+            d.loadDatabase(function () {
+              d.getAllData().length.should.equal(1);
+              (d.getAllData()[0].deleted_at instanceof Date).should.equal(true);
+              d.findOne({ _id: '1' }).withDeleted().exec(function (err, doc) {
+                doc.a.should.equal(1);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('restore brings back soft deleted documents and purge definitively removes them', function (done) {
+      var db = new Datastore({ softDelete: true, versionKey: '__v' });
+
+      db.insert([{ _id: '1', a: 1 }, { _id: '2', a: 1 }, { _id: '3', a: 2 }], function () {
+        db.remove({}, { multi: true }, function () {
+          db.restore({ _id: { $in: ['1', '3'] } }, function (err, n) {
+            assert.isNull(err);
+            n.should.equal(2);
+            db.find({}).sort({ _id: 1 }).exec(function (err, docs) {
+              docs.should.deep.equal([{ _id: '1', a: 1, __v: 2 }, { _id: '3', a: 2, __v: 2 }]);
+              // Documents which are not deleted are not purged
+              db.purge({ a: 1 }, function (err, n) {
+                n.should.equal(1);
+                db.count({}).withDeleted().exec(function (err, n) {
+                  n.should.equal(2);
+                  db.restore({}).then(function (n) {
+                    n.should.equal(0);
+                    new Datastore().purge({}, function (err) {
+                      assert.isNotNull(err);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('A TTL index on the deletedAt field purges soft deleted documents', function (done) {
+      var db = new Datastore({ softDelete: true });
+
+      db.ensureIndex({ fieldName: 'deletedAt', expireAfterSeconds: 0.2 });
+      db.insert([{ _id: '1' }, { _id: '2' }], function () {
+        db.remove({ _id: '1' }, {}, function () {
+          db.count({}).withDeleted().exec(function (err, n) {
+            n.should.equal(2);
+            setTimeout(function () {
+              db.count({}).withDeleted().exec(function (err, n) {
+                n.should.equal(1);
+                done();
+              });
+            }, 300);
+          });
+        });
+      });
+    });
+
+    it('Live queries ignore soft deleted documents', function (done) {
+      var db = new Datastore({ softDelete: true })
+        , removed = []
+        ;
+
+      db.insert([{ _id: '1' }, { _id: '2' }], function () {
+        db.find({}).observe({ removed: function (doc) { removed.push(doc._id); } }, function () {
+          db.remove({ _id: '1' }, {}, function () {
+            removed.should.deep.equal(['1']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('distinct ignores the soft deleted documents even if the field is indexed', function (done) {
+      var db = new Datastore({ softDelete: true });
+
+      db.ensureIndex({ fieldName: 'a' });
+      db.insert([{ _id: '1', a: 1 }, { _id: '2', a: 2 }], function () {
+        db.remove({ _id: '1' }, {}, function () {
+          db.distinct('a', function (err, values) {
+            assert.isNull(err);
+            values.should.deep.equal([2]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Soft deleted documents count for unique indexes until they are purged', function (done) {
+      var db = new Datastore({ softDelete: true });
+
+      db.ensureIndex({ fieldName: 'email', unique: true });
+      db.insert({ _id: '1', email: 'a@b.c' }, function () {
+        db.remove({ _id: '1' }, {}, function () {
+          db.insert({ _id: '2', email: 'a@b.c' }, function (err) {
+            err.errorType.should.equal('uniqueViolated');
+            db.purge({ _id: '1' }, function (err, n) {
+              n.should.equal(1);
+              db.insert({ _id: '2', email: 'a@b.c' }, function (err) {
+                assert.isNull(err);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Soft delete' ==== //
+
+
+
+  describe('History', function () {
+
+    it('The keepHistory option is checked, and history and revert need it', function (done) {
+      (function () { new Datastore({ keepHistory: 'yes' }); }).should.throw();
+      (function () { new Datastore({ keepHistory: { maxRevisions: 0 } }); }).should.throw();
+
+      new Datastore().history('id', function (err) {
+        assert.isNotNull(err);
+        new Datastore().revert('id', 1, function (err) {
+          assert.isNotNull(err);
+          done();
+        });
+      });
+    });
+
+    it('history returns the revisions of a document, newest first, with their date', function (done) {
+      var db = new Datastore({ keepHistory: true })
+        , beginning = Date.now()
+        ;
+
+      db.insert({ _id: 'doc', a: 1 }, function () {
+        db.update({ _id: 'doc' }, { $set: { a: 2 } }, {}, function () {
+          db.update({ _id: 'doc' }, { $set: { a: 2 } }, {}, function () {   // Changes nothing so creates no revision
+            db.update({ _id: 'doc' }, { b: 3 }, {}, function () {
+              db.history('doc', function (err, revisions) {
+                assert.isNull(err);
+                _.pluck(revisions, 'revision').should.deep.equal([3, 2, 1]);
+                _.pluck(revisions, 'doc').should.deep.equal([{ _id: 'doc', b: 3 }, { _id: 'doc', a: 2 }, { _id: 'doc', a: 1 }]);
+                revisions.forEach(function (r) { assert.isBelow(r.date.getTime() - beginning, reloadTimeUpperBound); });
+
+                // Returned revisions are copies
+                revisions[0].doc.b = 42;
+                db.history('doc', { limit: 2 }).then(function (revisions) {
+                  _.pluck(revisions, 'revision').should.deep.equal([3, 2]);
+                  revisions[0].doc.b.should.equal(3);
+                  db.history('nope', function (err, revisions) {
+                    revisions.should.deep.equal([]);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('maxRevisions limits the number of revisions kept, and removing a document adds a revision without document', function (done) {
+      var db = new Datastore({ keepHistory: { maxRevisions: 2 } });
+
+      db.insert({ _id: 'doc', a: 1 }, function () {
+        async.eachSeries([2, 3, 4], function (a, cb) { db.update({ _id: 'doc' }, { $set: { a: a } }, {}, function (err) { cb(err); }); }, function () {
+          db.history('doc', function (err, revisions) {
+            _.pluck(revisions, 'revision').should.deep.equal([4, 3]);
+            db.remove({ _id: 'doc' }, {}, function () {
+              db.history('doc', function (err, revisions) {
+                _.pluck(revisions, 'revision').should.deep.equal([5, 4]);
+                assert.isNull(revisions[0].doc);
+                db.insert({ _id: 'doc', a: 5 }, function () {
+                  db.history('doc', function (err, revisions) {
+                    _.pluck(revisions, 'revision').should.deep.equal([6, 5]);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('revert inserts a removed document again, and its history survives compaction and reload', function (done) {
+      d = new Datastore({ filename: testDb, keepHistory: true });
+      d.loadDatabase(function () {
+        d.insert({ _id: 'doc', a: 1 }, function () {
+          d.remove({ _id: 'doc' }, {}, function () {
+            d.loadDatabase(function () {
+              d.history('doc', function (err, revisions) {
+                _.pluck(revisions, 'revision').should.deep.equal([2, 1]);
+                d.revert('doc', 2, function (err) {
+                  err.message.should.contain('removal');
+                  d.revert('doc', 1, function (err, doc) {
+                    assert.isNull(err);
+                    doc.should.deep.equal({ _id: 'doc', a: 1 });
+                    d.loadDatabase(function () {
+                      d.findOne({ _id: 'doc' }, function (err, doc) {
+                        doc.should.deep.equal({ _id: 'doc', a: 1 });
+                        d.history('doc', function (err, revisions) {
+                          _.pluck(revisions, 'revision').should.deep.equal([3, 2, 1]);
+                          done();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('revert replaces a document by one of its revisions, creating a new revision', function (done) {
+      var db = new Datastore({ keepHistory: true, versionKey: '__v' });
+
+      db.insert({ _id: 'doc', a: 1 }, function () {
+        db.update({ _id: 'doc' }, { b: 2 }, {}, function () {
+          db.revert('doc', 1, function (err, doc) {
+            assert.isNull(err);
+            doc.should.deep.equal({ _id: 'doc', a: 1, __v: 2 });
+            db.history('doc', function (err, revisions) {
+              _.pluck(revisions, 'revision').should.deep.equal([3, 2, 1]);
+              db.revert('doc', 42, function (err) {
+                assert.isNotNull(err);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Revisions are persisted and survive compaction and reload, documents written before the history was kept get a first revision', function (done) {
+      d.insert({ _id: 'old', a: 1 }, function () {
+        d = new Datastore({ filename: testDb, keepHistory: true });
+        d.loadDatabase(function () {
+          d.insert({ _id: 'doc', a: 1 }, function () {
+            d.update({ _id: 'doc' }, { $set: { a: 2 } }, {}, function () {
+              d.persistence.persistCachedDatabase(function () {
+                d.update({ _id: 'doc' }, { $set: { a: 3 } }, {}, function () {
+                  d.update({ _id: 'old' }, { $set: { a: 2 } }, {}, function () {
+                    d.loadDatabase(function () {
+                      d.history('doc', function (err, revisions) {
+                        _.pluck(revisions, 'revision').should.deep.equal([3, 2, 1]);
+                        _.pluck(_.pluck(revisions, 'doc'), 'a').should.deep.equal([3, 2, 1]);
+                        revisions[0].doc.should.deep.equal({ _id: 'doc', a: 3 });
+                        (revisions[0].date instanceof Date).should.equal(true);
+                        d.history('old', function (err, revisions) {
+                          _.pluck(_.pluck(revisions, 'doc'), 'a').should.deep.equal([2, 1]);
+                          done();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Appended revisions do not repeat the document written before them', function (done) {
+      d = new Datastore({ filename: testDb, keepHistory: true });
+      d.loadDatabase(function () {
+        d.insert({ _id: 'doc', a: 1 }, function () {
+          d.update({ _id: 'doc' }, { $set: { a: 2 } }, {}, function () {
+            var lines = fs.readFileSync(testDb, 'utf8').split('\n');
+
+            lines[lines.length - 2].should.not.contain('"a":');
+            lines[lines.length - 3].should.equal(model.serialize({ _id: 'doc', a: 2 }));
+            d.history('doc', function (err, revisions) {
+              _.pluck(_.pluck(revisions, 'doc'), 'a').should.deep.equal([2, 1]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'History' ==== //
+
+
+  describe('Snapshots', function () {
+
+    it('Reflect the state of the datastore when they are taken, whatever the later writes', function (done) {
+      d.insert([{ _id: '1', a: 1 }, { _id: '2', a: 2 }, { _id: '3', a: 3 }], function () {
+        var snapshot = d.snapshot();
+
+        d.insert({ _id: '4', a: 4 });
+        d.update({ _id: '1' }, { $set: { a: 10 } }, {});
+        d.remove({ _id: '2' }, {}, function () {
+          snapshot.find({}).sort({ a: 1 }).skip(1).limit(2).exec(function (err, docs) {
+            assert.isNull(err);
+            docs.should.deep.equal([{ _id: '2', a: 2 }, { _id: '3', a: 3 }]);
+            snapshot.findOne({ _id: '1' }, { a: 1, _id: 0 }, function (err, doc) {
+              doc.should.deep.equal({ a: 1 });
+              snapshot.count({ a: { $gt: 1 } }, function (err, n) {
+                n.should.equal(2);
+                d.count({}, function (err, n) {
+                  n.should.equal(3);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Include the writes called before them and share the documents with the datastore', function (done) {
+      d.insert({ _id: '1', a: 1 });
+      var snapshot = d.snapshot();
+
+      snapshot.find({}, function (err, docs) {
+        docs.should.deep.equal([{ _id: '1', a: 1 }]);
+        snapshot.docs[0].should.equal(d.getAllData()[0]);
+
+        // Results are copies
+        docs[0].a = 2;
+        snapshot.findOne({}).then(function (doc) {
+          doc.a.should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('Are read-only and ignore soft deleted documents unless withDeleted is used', function (done) {
+      var db = new Datastore({ softDelete: true });
+
+      db.insert([{ _id: '1' }, { _id: '2' }], function () {
+        db.remove({ _id: '1' }, {}, function () {
+          var snapshot = db.snapshot();
+
+          assert.isUndefined(snapshot.insert);
+          assert.isUndefined(snapshot.update);
+          assert.isUndefined(snapshot.remove);
+          snapshot.count({}, function (err, n) {
+            n.should.equal(1);
+            snapshot.count({}).withDeleted().exec(function (err, n) {
+              n.should.equal(2);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('The find hooks also apply to snapshots', function (done) {
+      d.insert([{ _id: '1', owner: 'a' }, { _id: '2', owner: 'b' }], function () {
+        d.pre('find', function (context) { context.query = { $and: [context.query, { owner: 'a' }] }; });
+
+        d.snapshot().find({}, function (err, docs) {
+          _.pluck(docs, '_id').should.deep.equal(['1']);
+          done();
+        });
+      });
+    });
+
+  });   // ==== End of 'Snapshots' ==== //
+
+
+  describe('Transactions', function () {
+
+    beforeEach(function (done) {
+      d.insert([{ _id: '1', a: 1 }, { _id: '2', a: 2 }], function (err) {
+        assert.isNull(err);
+        d.ensureIndex({ fieldName: 'a', unique: true }, done);
+      });
+    });
+
+    it('Applies and persists all the operations, with one append wrapped in begin and commit lines', function (done) {
+      var events = [];
+
+      d.on('insert', function (doc) { events.push('insert ' + doc._id); });
+      d.on('remove', function (doc) { events.push('remove ' + doc._id); });
+
+      d.transaction(function (tx) {
+        return tx.insert({ _id: '3', a: 3 }).then(function () {
+          return tx.update({ _id: '1' }, { $set: { a: 10 } }, {});
+        }).then(function (res) {
+          res.numAffected.should.equal(1);
+          return tx.remove({ _id: '2' });
+        }).then(function (n) {
+          n.should.equal(1);
+          return 'ok';
+        });
+      }, function (err, res) {
+        var lines;
+
+        assert.isNull(err);
+        res.should.equal('ok');
+        events.should.deep.equal(['insert 3', 'remove 2']);
+
+        lines = fs.readFileSync(testDb, 'utf8').split('\n');
+        lines = lines.slice(lines.length - 6, lines.length - 1).map(function (l) { return model.deserialize(l); });
+        Object.keys(lines[0]).should.deep.equal(['$$begin']);
+        lines[4].$$commit.should.equal(lines[0].$$begin);
+
+        d.loadDatabase(function (err) {
+          assert.isNull(err);
+          d.find({}).sort({ _id: 1 }).exec(function (err, docs) {
+            docs.should.deep.equal([{ _id: '1', a: 10 }, { _id: '3', a: 3 }]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('If the function fails, all the operations are undone and nothing is persisted', function (done) {
+      var size = fs.readFileSync(testDb, 'utf8').length
+        , events = 0
+        ;
+
+      d.on('update', function () { events += 1; });
+
+      d.transaction(function (tx) {
+        return tx.update({ _id: '1' }, { $set: { a: 3 } }, {}).then(function () {
+          return tx.remove({ _id: '2' });
+        }).then(function () {
+          return tx.insert({ _id: '4', a: 2 });
+        }).then(function () {
+          return tx.count({});
+        }).then(function (n) {
+          n.should.equal(2);   // Reads see the writes of the transaction
+          throw new Error('Abort');
+        });
+      }).then(null, function (err) {
+        err.message.should.equal('Abort');
+        events.should.equal(0);
+        fs.readFileSync(testDb, 'utf8').length.should.equal(size);
+
+        d.find({}).sort({ _id: 1 }).exec(function (err, docs) {
+          docs.should.deep.equal([{ _id: '1', a: 1 }, { _id: '2', a: 2 }]);
+          d.indexes.a.getMatching(2).length.should.equal(1);
+          d.indexes.a.getMatching(3).length.should.equal(0);
+          assert.isNull(d.indexes._id.getMatching('4')[0] || null);
+          done();
+        });
+      });
+    });
+
+    it('A failing operation rejects, and rolls back the previous ones if the error is not caught', function (done) {
+      d.transaction(function (tx) {
+        tx.insert({ _id: '3', a: 3 });
+        return tx.insert({ _id: '4', a: 1 });
+      }, function (err) {
+        err.errorType.should.equal('uniqueViolated');
+        d.count({}, function (err, n) {
+          n.should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('Other operations wait for the end of the transaction, and operations after it fail', function (done) {
+      var saved;
+
+      d.transaction(function (tx) {
+        saved = tx;
+        d.count({}, function (err, n) {
+          n.should.equal(3);
+          saved.insert({ _id: '5', a: 5 }, function (err) {
+            err.errorType.should.equal('transactionFinished');
+            done();
+          });
+        });
+        return tx.insert({ _id: '3', a: 3 });
+      });
+    });
+
+    it('Upserts, multi updates and soft deletions are undone too', function (done) {
+      var db = new Datastore({ softDelete: true });
+
+      db.insert([{ _id: '1', a: 1 }, { _id: '2', a: 1 }], function () {
+        db.transaction(function (tx) {
+          return tx.update({ a: 1 }, { $inc: { a: 1 } }, { multi: true }).then(function () {
+            return tx.update({ _id: '3' }, { a: 3 }, { upsert: true });
+          }).then(function (res) {
+            res.upsert.should.equal(true);
+            return tx.remove({ _id: '1' });
+          }).then(function () {
+            throw new Error('Abort');
+          });
+        }, function (err) {
+          db.find({}).withDeleted().sort({ _id: 1 }).exec(function (err, docs) {
+            docs.should.deep.equal([{ _id: '1', a: 1 }, { _id: '2', a: 1 }]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Inserts take the same options as Datastore.insert, with ordered false the invalid documents are skipped', function (done) {
+      d.transaction(function (tx) {
+        return tx.insert([{ _id: '3', a: 3 }, { _id: '4', a: 1 }, { _id: '5', a: 5 }], { ordered: false }).then(null, function (err) {
+          err.errorType.should.equal('bulkWriteFailed');
+          err.writeErrors.length.should.equal(1);
+          err.writeErrors[0].index.should.equal(1);
+          err.writeErrors[0].error.errorType.should.equal('uniqueViolated');
+          _.pluck(err.insertedDocs, '_id').should.deep.equal(['3', '5']);
+          return tx.insert({ _id: '6', a: 6 }, {});
+        });
+      }, function (err) {
+        assert.isNull(err);
+        d.loadDatabase(function (err) {
+          assert.isNull(err);
+          d.find({}).sort({ _id: 1 }).exec(function (err, docs) {
+            _.pluck(docs, '_id').should.deep.equal(['1', '2', '3', '5', '6']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Documents cannot have the fields of the marker lines', function (done) {
+      d.insert([{ a: 3 }, { a: 4, $$begin: 'x' }, { a: 5 }], function (err) {
+        err.message.should.equal('Field names cannot begin with the $ character');
+        d.update({ _id: '1' }, { $set: { $$commit: 'x' } }, {}, function (err) {
+          err.message.should.equal('Field names cannot begin with the $ character');
+          d.loadDatabase(function (err) {
+            assert.isNull(err);
+            d.find({}).sort({ _id: 1 }).exec(function (err, docs) {
+              docs.should.deep.equal([{ _id: '1', a: 1 }, { _id: '2', a: 2 }]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Transactions' ==== //
+
+
+  describe('References', function () {
+    var users;
+
+    beforeEach(function (done) {
+      users = new Datastore();
+      users.insert([{ _id: 'u1', name: 'Leela', email: 'leela@planetexpress.com', login: 'leela' }
+                  , { _id: 'u2', name: 'Fry', email: 'fry@planetexpress.com', login: 'fry' }
+                  ], function () {
+        d.insert([{ _id: 'p1', title: 'Delivery', authorId: 'u1', reviewerIds: ['u2', 'u1'] }
+                , { _id: 'p2', title: 'Pizza', authorId: 'u2', reviewerIds: [] }
+                , { _id: 'p3', title: 'Anonymous', authorId: 'u9' }
+                ], done);
+      });
+    });
+
+    function countQueries (db) {
+      var find = db.find, queries = [];
+
+      db.find = function (query) {
+        queries.push(query);
+        return find.apply(this, arguments);
+      };
+      return queries;
+    }
+
+    it('populate resolves all the references of the results with one query', function (done) {
+      var queries = countQueries(users);
+
+      d.find({}).sort({ _id: 1 }).populate('authorId', users, { as: 'author', projection: { name: 1, _id: 0 } }).exec(function (err, docs) {
+        assert.isNull(err);
+        docs.should.deep.equal([{ _id: 'p1', title: 'Delivery', authorId: 'u1', reviewerIds: ['u2', 'u1'], author: { name: 'Leela' } }
+                               , { _id: 'p2', title: 'Pizza', authorId: 'u2', reviewerIds: [], author: { name: 'Fry' } }
+                               , { _id: 'p3', title: 'Anonymous', authorId: 'u9', author: null }
+                               ]);
+        queries.should.deep.equal([{ _id: { $in: ['u1', 'u2', 'u9'] } }]);
+        d.getAllData().forEach(function (doc) { assert.isUndefined(doc.author); });
+        done();
+      });
+    });
+
+    it('populate replaces arrays of references, can match another field and be used several times', function (done) {
+      d.findOne({ _id: 'p1' }).populate('reviewerIds', users, { projection: { name: 1 } })
+                              .populate('authorId', users, { as: 'author.login', foreignField: 'login' }).then(function (doc) {
+        doc.reviewerIds.should.deep.equal([{ _id: 'u2', name: 'Fry' }, { _id: 'u1', name: 'Leela' }]);
+        doc.author.should.deep.equal({ login: null });
+        return d.find({ title: 'Nope' }).populate('authorId', users);
+      }).then(function (docs) {
+        docs.should.deep.equal([]);
+        return d.findOne({ title: 'Nope' }).populate('authorId', users);
+      }).then(function (doc) {
+        assert.isNull(doc);
+        done();
+      }).catch(done);
+    });
+
+    it('populate does not keep the executor busy while querying the other datastore', function (done) {
+      async.parallel([
+        function (cb) { d.find({}).populate('authorId', users).exec(cb); }
+      , function (cb) { users.find({}).populate('_id', d, { as: 'posts', foreignField: 'authorId' }).exec(cb); }
+      ], function (err, results) {
+        assert.isNull(err);
+        results[0].length.should.equal(3);
+        _.pluck(_.sortBy(results[1], '_id'), 'posts').should.deep.equal([{ _id: 'p1', title: 'Delivery', authorId: 'u1', reviewerIds: ['u2', 'u1'] }
+                                                                        , { _id: 'p2', title: 'Pizza', authorId: 'u2', reviewerIds: [] }]);
+        done();
+      });
+    });
+
+    it('$lookup sets the array of the referenced documents, with one query', function (done) {
+      var queries = countQueries(users);
+
+      d.aggregate([ { $match: { title: { $ne: 'Anonymous' } } }
+                  , { $lookup: { from: users, localField: 'reviewerIds', foreignField: '_id', as: 'reviewers' } }
+                  , { $project: { title: 1, reviewers: '$reviewers.name' } }
+                  , { $sort: { title: 1 } }
+                  ], function (err, res) {
+        assert.isNull(err);
+        res.should.deep.equal([{ _id: 'p1', title: 'Delivery', reviewers: ['Fry', 'Leela'] }, { _id: 'p2', title: 'Pizza', reviewers: [] }]);
+        queries.should.deep.equal([{ _id: { $in: ['u2', 'u1'] } }]);
+        done();
+      });
+    });
+
+    it('Several $lookup stages can be used anywhere in the pipeline', function (done) {
+      d.aggregate([ { $lookup: { from: users, localField: 'authorId', foreignField: '_id', as: 'author' } }
+                  , { $unwind: '$author' }
+                  , { $lookup: { from: d, localField: 'author._id', foreignField: 'reviewerIds', as: 'reviewed' } }
+                  , { $project: { title: 1, author: '$author.name', reviewed: '$reviewed._id' } }
+                  , { $sort: { title: 1 } }
+                  ]).then(function (res) {
+        res.should.deep.equal([{ _id: 'p1', title: 'Delivery', author: 'Leela', reviewed: ['p1'] }, { _id: 'p2', title: 'Pizza', author: 'Fry', reviewed: ['p1'] }]);
+        done();
+      }).catch(done);
+    });
+
+    it('An invalid $lookup is an error', function (done) {
+      d.aggregate([{ $lookup: { from: users, localField: 'authorId', as: 'author' } }], function (err, res) {
+        err.message.should.contain('foreignField');
+        assert.isUndefined(res);
+        d.aggregate([{ $lookup: { from: 'users', localField: 'authorId', foreignField: '_id', as: 'author' } }]).catch(function (err) {
+          err.message.should.contain('from');
+          done();
+        });
+      });
+    });
+
+  });   // ==== End of 'References' ==== //
+
+
+  describe('Foreign keys', function () {
+    var posts, comments;
+
+    beforeEach(function (done) {
+      posts = new Datastore();
+      comments = new Datastore();
+      posts.insert([{ _id: 'p1', title: 'Delivery' }, { _id: 'p2', title: 'Pizza' }], function () {
+        comments.insert([{ _id: 'c1', postId: 'p1' }, { _id: 'c2', postId: 'p1' }, { _id: 'c3', postId: 'p2' }], done);
+      });
+    });
+
+    it('Foreign keys are checked when added', function () {
+      (function () { comments.addForeignKey({ parent: posts }); }).should.throw();
+      (function () { comments.addForeignKey({ fieldName: 'postId', parent: {} }); }).should.throw();
+      (function () { comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'nothing' }); }).should.throw();
+
+      comments.addForeignKey({ fieldName: 'postId', parent: posts });
+      comments.foreignKeys.postId.onDelete.should.equal('restrict');
+      comments.foreignKeys.postId.parentField.should.equal('_id');
+      posts.referencingKeys.length.should.equal(1);
+
+      comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'cascade' });
+      posts.referencingKeys.length.should.equal(1);
+      comments.removeForeignKey('postId');
+      posts.referencingKeys.length.should.equal(0);
+      assert.isUndefined(comments.foreignKeys.postId);
+    });
+
+    it('Inserts and updates referencing a missing parent are rejected', function (done) {
+      comments.addForeignKey({ fieldName: 'postId', parent: posts });
+
+      comments.insert([{ _id: 'c4', postId: 'p2' }, { _id: 'c5', postId: 'p3' }], function (err) {
+        (err instanceof Datastore.ForeignKeyError).should.equal(true);
+        err.errorType.should.equal('foreignKeyViolation');
+        err.fieldName.should.equal('postId');
+        err.value.should.equal('p3');
+
+        comments.update({ _id: 'c1' }, { $set: { postId: 'p3' } }, {}, function (err) {
+          err.errorType.should.equal('foreignKeyViolation');
+
+          comments.find({}, function (err, docs) {
+            docs.length.should.equal(3);
+            _.findWhere(docs, { _id: 'c1' }).postId.should.equal('p1');
+
+            comments.insert([{ _id: 'c4', postId: 'p2' }, { _id: 'c5', postId: null }, { _id: 'c6' }], function (err) {
+              assert.isNull(err);
+              comments.update({ _id: 'c1' }, { $set: { postId: 'p2' } }, {}, function (err, n) {
+                assert.isNull(err);
+                n.should.equal(1);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('References can be arrays, match another indexed field and point to documents inserted with them', function (done) {
+      var categories = new Datastore();
+
+      categories.ensureIndex({ fieldName: 'slug', unique: true });
+      categories.addForeignKey({ fieldName: 'parentSlug', parent: categories, parentField: 'slug' });
+      posts.addForeignKey({ fieldName: 'categories', parent: categories, parentField: 'slug' });
+
+      categories.insert([{ slug: 'food', parentSlug: null }, { slug: 'pizza', parentSlug: 'food' }], function (err) {
+        assert.isNull(err);
+        posts.insert({ title: 'Margherita', categories: ['food', 'pizza'] }, function (err) {
+          assert.isNull(err);
+          posts.insert({ title: 'Sushi', categories: ['food', 'sushi'] }, function (err) {
+            err.value.should.equal('sushi');
+            done();
+          });
+        });
+      });
+    });
+
+    it('Documents which are referenced cannot be removed with onDelete restrict', function (done) {
+      comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'restrict' });
+
+      posts.remove({ _id: 'p1' }, {}, function (err) {
+        err.errorType.should.equal('foreignKeyViolation');
+        err.message.should.contain('2 document(s)');
+
+        posts.count({}, function (err, n) {
+          n.should.equal(2);
+          comments.remove({ postId: 'p1' }, { multi: true }, function () {
+            posts.remove({ _id: 'p1' }, {}, function (err, n) {
+              assert.isNull(err);
+              n.should.equal(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Removing a parent with onDelete cascade removes the documents referencing it, recursively', function (done) {
+      var likes = new Datastore();
+
+      comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'cascade' });
+      comments.addForeignKey({ fieldName: 'replyTo', parent: comments, onDelete: 'cascade' });
+      likes.addForeignKey({ fieldName: 'commentId', parent: comments, onDelete: 'restrict' });
+
+      async.waterfall([
+        function (cb) { comments.insert({ _id: 'c4', postId: 'p2', replyTo: 'c3' }, function (err) { cb(err); }); }
+      , function (cb) { likes.insert({ commentId: 'c4' }, function (err) { cb(err); }); }
+      , function (cb) {
+          // The like of the reply to a comment of p2 prevents its removal
+          posts.remove({ _id: 'p2' }, {}, function (err) {
+            err.errorType.should.equal('foreignKeyViolation');
+            comments.count({}, function (err, n) {
+              n.should.equal(4);
+              cb();
+            });
+          });
+        }
+      , function (cb) {
+          posts.remove({ _id: 'p1' }, {}, function (err, n) {
+            assert.isNull(err);
+            n.should.equal(1);
+            comments.find({}, function (err, docs) {
+              _.pluck(docs, '_id').sort().should.deep.equal(['c3', 'c4']);
+              cb();
+            });
+          });
+        }
+      , function (cb) {
+          likes.remove({}, { multi: true }, function () {
+            posts.deleteOne({ _id: 'p2' }, function (err, res) {
+              res.deletedCount.should.equal(1);
+              comments.count({}, function (err, n) {
+                n.should.equal(0);
+                cb();
+              });
+            });
+          });
+        }
+      ], done);
+    });
+
+    it('Removing a parent with onDelete setNull sets the references to null', function (done) {
+      comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'setNull' });
+
+      posts.remove({ _id: 'p1' }).then(function () {
+        return comments.find({}).sort({ _id: 1 });
+      }).then(function (docs) {
+        docs.should.deep.equal([{ _id: 'c1', postId: null }, { _id: 'c2', postId: null }, { _id: 'c3', postId: 'p2' }]);
+        done();
+      }).catch(done);
+    });
+
+    it('Soft deleting a parent and removing it in a transaction apply onDelete too', function (done) {
+      var softPosts = new Datastore({ softDelete: true });
+
+      softPosts.insert({ _id: 'p3' }, function () {
+        comments.insert({ _id: 'c4', postId: 'p3' }, function () {
+          comments.addForeignKey({ fieldName: 'postId', parent: softPosts, onDelete: 'cascade' });
+          softPosts.remove({ _id: 'p3' }, {}, function (err) {
+            assert.isNull(err);
+            comments.count({ postId: 'p3' }, function (err, n) {
+              n.should.equal(0);
+
+              comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'cascade' });
+              posts.transaction(function (tx) { return tx.remove({ _id: 'p1' }); }, function (err) {
+                assert.isNull(err);
+                comments.count({}, function (err, n) {
+                  n.should.equal(1);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Expirations of a TTL index apply the foreign keys, and referenced documents with onDelete restrict are kept', function (done) {
+      var sessions = new Datastore()
+        , past = new Date(Date.now() - 10000)
+        ;
+
+      sessions.ensureIndex({ fieldName: 'expiresAt', expireAfterSeconds: 0 });
+      sessions.insert([{ _id: 's1', expiresAt: past }, { _id: 's2', expiresAt: past }], function () {
+        posts.addForeignKey({ fieldName: 'sessionId', parent: sessions, onDelete: 'cascade' });
+        comments.addForeignKey({ fieldName: 'sessionId', parent: sessions, onDelete: 'restrict' });
+        posts.insert({ _id: 'p3', sessionId: 's1' }, function () {
+          comments.insert({ _id: 'c4', sessionId: 's2' }, function () {
+            sessions.find({}, function (err, docs) {
+              assert.isNull(err);
+              _.pluck(docs, '_id').should.deep.equal(['s2']);
+              posts.getAllData().length.should.equal(2);   // p3 was removed with s1
+
+              comments.remove({ _id: 'c4' }, {}, function () {
+                sessions.count({}, function (err, n) {
+                  n.should.equal(0);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('The parent operation only calls back once its onDelete actions are done, and fails if one of them fails', function (done) {
+      comments.addForeignKey({ fieldName: 'postId', parent: posts, onDelete: 'cascade' });
+
+      posts.remove({ _id: 'p1' }, {}, function (err, n) {
+        assert.isNull(err);
+        n.should.equal(1);
+        comments.getAllData().length.should.equal(1);   // Without going through the executor of comments
+
+        comments.pre('remove', function (context, next) { next(new Error('Comments are forever')); });
+        posts.remove({ _id: 'p2' }).then(function () {
+          done(new Error('The removal should have failed'));
+        }, function (err) {
+          err.message.should.equal('Comments are forever');
+          posts.getAllData().length.should.equal(0);
+          comments.getAllData().length.should.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('The checks are refused while the other datastore is not loaded', function (done) {
+      var fkDb = 'workspace/foreignKeys.db'
+        , parents, likes
+        ;
+
+      if (fs.existsSync(fkDb)) { fs.unlinkSync(fkDb); }
+      parents = new Datastore({ filename: fkDb });
+      likes = new Datastore({ filename: 'workspace/likes.db' });   // Never loaded
+      comments.addForeignKey({ fieldName: 'parentId', parent: parents });
+
+      comments.insert({ _id: 'c4', parentId: 'a1' }, function (err) {
+        err.errorType.should.equal('foreignKeyNotLoaded');
+        comments.update({ _id: 'c1' }, { $set: { parentId: 'a1' } }, {}, function (err) {
+          err.errorType.should.equal('foreignKeyNotLoaded');
+          comments.insert({ _id: 'c4', parentId: null }, function (err) {
+            assert.isNull(err);   // Nothing to check
+
+            parents.loadDatabase(function (err) {
+              assert.isNull(err);
+              parents.insert({ _id: 'a1' }, function (err) {
+                assert.isNull(err);
+                comments.insert({ _id: 'c5', parentId: 'a1' }, function (err) {
+                  assert.isNull(err);
+
+                  // The referencing datastore must be loaded too to remove a parent
+                  likes.addForeignKey({ fieldName: 'commentId', parent: comments, onDelete: 'cascade' });
+                  comments.remove({ _id: 'c1' }, {}, function (err) {
+                    err.errorType.should.equal('foreignKeyNotLoaded');
+                    comments.count({}, function (err, n) {
+                      n.should.equal(5);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });   // ==== End of 'Foreign keys' ==== //
+
+
 });
@@ -8,6 +8,7 @@ var should = require('chai').should()
   , model = require('../lib/model')
   , Datastore = require('../lib/datastore')
   , Persistence = require('../lib/persistence')
+  , Executor = require('../lib/executor')
   ;
 
 
@@ -210,4 +211,65 @@ describe('Executor', function () {
 
   });   // ==== End of 'With non persistent database' ====
 
+  describe('Promisify', function () {
+
+    it('Resolves with the first result, or an object if result names are given', function (done) {
+      function fn (a, b, cb) { return cb(null, a + b, a * b); }
+
+      Executor.promisify(fn, null, [2, 3]).then(function (res) {
+        res.should.equal(5);
+        return Executor.promisify(fn, null, [2, 3], ['sum', 'product']);
+      }).then(function (res) {
+        res.should.deep.equal({ sum: 5, product: 6 });
+        done();
+      }).catch(done);
+    });
+
+    it('Rejects with the error passed to the callback', function (done) {
+      var error = new Error('Oops');
+
+      Executor.promisify(function (cb) { return cb(error); }, null, []).then(function () {
+        done(new Error('Should have been rejected'));
+      }, function (err) {
+        err.should.equal(error);
+        done();
+      }).catch(done);
+    });
+
+  });   // ==== End of 'Promisify' ====
+
+  describe('After task', function () {
+
+    it('Runs once each task is done without holding the next ones, and gives its error to the callback if the task succeeded', function (done) {
+      var executor = new Executor()
+        , events = []
+        , afterTaskError = null
+        ;
+
+      executor.ready = true;
+      executor.afterTask = function (callback) {
+        events.push('after');
+        if (events.length === 1) { executor.push({ this: null, fn: function (cb) { events.push('next'); cb(); }, arguments: [function () {}] }); }
+        setTimeout(function () { return callback(afterTaskError); }, 5);
+      };
+
+      executor.push({ this: null, fn: function (cb) { cb(null, 42); }, arguments: [function (err, res) {
+        assert.isNull(err);
+        res.should.equal(42);
+        events.should.deep.equal(['after', 'next', 'after']);
+
+        afterTaskError = new Error('After');
+        executor.push({ this: null, fn: function (cb) { cb(null, 42); }, arguments: [function (err) {
+          err.message.should.equal('After');
+          executor.push({ this: null, fn: function (cb) { cb(new Error('Task')); }, arguments: [function (err) {
+            err.message.should.equal('Task');
+            done();
+          }] });
+        }] });
+      }] });
+    });
+
+  });   // ==== End of 'After task' ====
+
+
 });
@@ -0,0 +1,60 @@
+var should = require('chai').should()
+  , assert = require('chai').assert
+  , _ = require('underscore')
+  , idGenerators = require('../lib/idGenerators')
+  ;
+
+
+describe('idGenerators', function () {
+
+  function generate (generator, n) {
+    var res = [], i;
+    for (i = 0; i < n; i += 1) { res.push(generator()); }
+    return res;
+  }
+
+  it('uid generates 16 alphanumerical characters', function () {
+    var ids = generate(idGenerators.uid, 100);
+    ids.forEach(function (id) { id.should.match(/^[a-zA-Z0-9]{16}$/); });
+    _.uniq(ids).length.should.equal(100);
+  });
+
+  it('uuidv4 generates RFC 4122 version 4 UUIDs', function () {
+    var ids = generate(idGenerators.uuidv4, 100);
+    ids.forEach(function (id) { id.should.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/); });
+    _.uniq(ids).length.should.equal(100);
+  });
+
+  it('ulid generates ULIDs sorted by creation time, even within the same millisecond', function (done) {
+    var before = Date.now()
+      , ids = generate(idGenerators.ulid, 1000)
+      , time = 0, i
+      ;
+
+    ids.forEach(function (id) { id.should.match(/^[0-9A-HJKMNP-TV-Z]{26}$/); });
+    _.uniq(ids).length.should.equal(1000);
+    ids.slice().sort().should.deep.equal(ids);
+
+    // The first 10 characters encode the timestamp in ms
+    for (i = 0; i < 10; i += 1) { time = time * 32 + '0123456789ABCDEFGHJKMNPQRSTVWXYZ'.indexOf(ids[0][i]); }
+    assert.isAtLeast(time, before);
+    assert.isAtMost(time, Date.now());
+
+    setTimeout(function () {
+      idGenerators.ulid().should.be.above(ids[999]);
+      done();
+    }, 2);
+  });
+
+  it('objectid generates ObjectIds sorted by creation time', function () {
+    var before = Math.floor(Date.now() / 1000)
+      , ids = generate(idGenerators.objectid, 100)
+      ;
+
+    ids.forEach(function (id) { id.should.match(/^[0-9a-f]{24}$/); });
+    _.uniq(ids).length.should.equal(100);
+    assert.isAtLeast(parseInt(ids[0].slice(0, 8), 16), before);
+    ids[0].slice(8, 18).should.equal(ids[99].slice(8, 18));   // Same random value for the whole process
+  });
+
+});
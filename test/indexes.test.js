@@ -770,4 +770,26 @@ describe('Indexes', function () {
   });
 
 
+  it('Get all keys in the index', function () {
+    var idx = new Index({ fieldName: 'tf' })
+      , doc1 = { a: 5, tf: ['hello', 'world'] }
+      , doc2 = { a: 8, tf: 'world' }
+      , doc3 = { a: 2, tf: 'bloup' }
+      , doc4 = { a: 3 }
+      ;
+
+    idx.getKeys().should.deep.equal([]);
+
+    idx.insert(doc1);
+    idx.insert(doc2);
+    idx.insert(doc3);
+    idx.insert(doc4);
+    idx.getKeys().should.deep.equal(['bloup', 'hello', 'world']);
+
+    idx.remove(doc1);
+    idx.remove(doc3);
+    idx.getKeys().should.deep.equal(['world']);
+  });
+
+
 });
@@ -193,6 +193,21 @@ describe('Model', function () {
       }).should.throw();
     });
 
+    it('Documents cannot have the fields of the marker lines of the datafile', function () {
+      ['$$changeToken', '$$change', '$$sequence', '$$revision', '$$begin', '$$commit'].forEach(function (marker) {
+        var doc = { a: 1 };
+        doc[marker] = 'x';
+        (function () { model.checkObject(doc); }).should.throw();
+      });
+    });
+
+    it('Only the persistence can serialize a marker line, whose documents are checked', function () {
+      (function () { model.serialize({ $$begin: 'x' }); }).should.throw();
+      model.deserialize(model.serialize({ $$begin: 'x' }, '$$begin')).should.deep.equal({ $$begin: 'x' });
+      (function () { model.serialize({ $$revision: { doc: { $bad: 1 } } }, '$$revision'); }).should.throw();
+      (function () { model.serialize({ _id: '1', $$begin: 'x' }, '$$revision'); }).should.throw();
+    });
+
     it('Field names cannot contain a .', function () {
       assert.isDefined(model.checkObject);
 
@@ -287,6 +302,38 @@ describe('Model', function () {
   });   // ==== End of 'Deep copying' ==== //
 
 
+  describe('Coercion', function () {
+
+    it('Converts values to the given type', function () {
+      model.coerce('42', 'number').should.equal(42);
+      model.coerce(' 1.5 ', 'number').should.equal(1.5);
+      model.coerce(12, 'number').should.equal(12);
+      model.coerce('2015-03-02T10:00:00.000Z', 'date').getTime().should.equal(Date.UTC(2015, 2, 2, 10));
+      model.coerce(1000, 'date').getTime().should.equal(1000);
+      model.coerce(12, 'string').should.equal('12');
+      model.coerce(false, 'string').should.equal('false');
+      model.coerce(new Date(Date.UTC(2015, 2, 2, 10)), 'string').should.equal('2015-03-02T10:00:00.000Z');
+      model.coerce('true', 'boolean').should.equal(true);
+      model.coerce('false', 'boolean').should.equal(false);
+    });
+
+    it('Leaves null and undefined untouched', function () {
+      assert.isNull(model.coerce(null, 'number'));
+      assert.isUndefined(model.coerce(undefined, 'date'));
+    });
+
+    it('Throws if the value cannot be converted or the type is unknown', function () {
+      (function () { model.coerce('abc', 'number'); }).should.throw();
+      (function () { model.coerce('', 'number'); }).should.throw();
+      (function () { model.coerce('not a date', 'date'); }).should.throw();
+      (function () { model.coerce({ a: 1 }, 'string'); }).should.throw();
+      (function () { model.coerce('yes', 'boolean'); }).should.throw();
+      (function () { model.coerce('1', 'integer'); }).should.throw();
+    });
+
+  });   // ==== End of 'Coercion' ==== //
+
+
   describe('Modifying documents', function () {
 
     it('Queries not containing any modifier just replace the document by the contents of the query but keep its _id', function () {
@@ -146,6 +146,107 @@ describe('Persistence', function () {
     _.isEqual(treatedData[1], { _id: "3", today: now }).should.equal(true);
   });
 
+  it('Change tokens are counted from the last $$changeToken line, and change records are recreated if the history is retained', function () {
+    var rawData = model.serialize({ _id: "1", a: 1 }) + '\n' +
+                  model.serialize({ $$changeToken: 10 }, '$$changeToken') + '\n' +
+                  model.serialize({ $$change: { token: 10, operationType: 'insert', documentKey: { _id: "1" }, fullDocument: { _id: "1", a: 1 } } }, '$$change') + '\n' +
+                  model.serialize({ _id: "1", a: 2 }) + '\n' +
+                  'garbage\n' +
+                  model.serialize({ $$indexCreated: { fieldName: "a" } }) + '\n' +
+                  model.serialize({ _id: "2", b: 1 }) + '\n' +
+                  model.serialize({ _id: "1", $$deleted: true }) + '\n'
+      , treatedData
+      ;
+
+    d.persistence.corruptAlertThreshold = 1;
+    treatedData = d.persistence.treatRawData(rawData);
+    treatedData.lastChangeToken.should.equal(14);   // The corrupt line counts as a change
+    treatedData.changes.length.should.equal(0);
+
+    d.retainChangeHistory = true;
+    treatedData = d.persistence.treatRawData(rawData);
+    treatedData.lastChangeToken.should.equal(14);
+    _.pluck(treatedData.changes, 'token').should.deep.equal([10, 11, 13, 14]);
+    _.pluck(treatedData.changes, 'operationType').should.deep.equal(['insert', 'update', 'insert', 'delete']);
+    treatedData.changes[1].updateDescription.should.deep.equal({ updatedFields: { a: 2 }, removedFields: [] });
+    treatedData.changes[3].documentKey.should.deep.equal({ _id: "1" });
+  });
+
+  it('Keeps the last value of each sequence, sequence lines are not changes', function () {
+    var rawData = model.serialize({ $$sequence: { name: "a", value: 1 } }, '$$sequence') + '\n' +
+                  model.serialize({ _id: "1", a: 1 }) + '\n' +
+                  model.serialize({ $$sequence: { name: "b", value: 10 } }, '$$sequence') + '\n' +
+                  model.serialize({ $$sequence: { name: "a", value: 3 } }, '$$sequence') + '\n'
+      , treatedData = d.persistence.treatRawData(rawData)
+      ;
+
+    treatedData.sequences.should.deep.equal({ a: 3, b: 10 });
+    treatedData.lastChangeToken.should.equal(1);
+  });
+
+  it('Keeps the revisions of the documents if the datastore keeps their history, revision lines are not changes', function () {
+    var rawData = model.serialize({ _id: "1", a: 2 }) + '\n' +
+                  model.serialize({ _id: "2", a: 1 }) + '\n' +
+                  model.serialize({ $$revision: { _id: "1", revision: 1, date: new Date(1000), doc: { _id: "1", a: 1 } } }, '$$revision') + '\n' +
+                  model.serialize({ $$revision: { _id: "1", revision: 2, date: new Date(2000), doc: { _id: "1", a: 2 } } }, '$$revision') + '\n' +
+                  model.serialize({ $$revision: { _id: "2", revision: 1, date: new Date(2000), doc: { _id: "2", a: 1 } } }, '$$revision') + '\n' +
+                  model.serialize({ _id: "2", $$deleted: true }) + '\n'
+      , treatedData
+      ;
+
+    d.persistence.treatRawData(rawData).revisions.should.deep.equal({});
+
+    d.keepHistory = true;
+    treatedData = d.persistence.treatRawData(rawData);
+    treatedData.lastChangeToken.should.equal(3);
+    Object.keys(treatedData.revisions).should.deep.equal([model.serialize({ _id: "1" }), model.serialize({ _id: "2" })]);   // Removed documents keep theirs
+    _.pluck(treatedData.revisions[model.serialize({ _id: "1" })], 'revision').should.deep.equal([1, 2]);
+    treatedData.revisions[model.serialize({ _id: "1" })][0].date.getTime().should.equal(1000);
+  });
+
+  it('An appended revision without its doc takes the document written before it', function () {
+    var rawData = model.serialize({ _id: "1", a: 1 }) + '\n' +
+                  model.serialize({ $$revision: { _id: "1", revision: 1, date: new Date(1000) } }, '$$revision') + '\n' +
+                  model.serialize({ _id: "1", a: 2 }) + '\n' +
+                  model.serialize({ $$revision: { _id: "1", revision: 2, date: new Date(2000) } }, '$$revision') + '\n' +
+                  model.serialize({ _id: "1", $$deleted: true }) + '\n' +
+                  model.serialize({ $$revision: { _id: "1", revision: 3, date: new Date(3000) } }, '$$revision') + '\n'
+      , treatedData
+      ;
+
+    d.keepHistory = true;
+    treatedData = d.persistence.treatRawData(rawData);
+    _.pluck(treatedData.revisions[model.serialize({ _id: "1" })], 'doc').should.deep.equal([{ _id: "1", a: 1 }, { _id: "1", a: 2 }, null]);
+  });
+
+  it('Only uses the lines of a transaction if its commit line was written', function () {
+    var rawData = model.serialize({ _id: "1", a: 1 }) + '\n' +
+                  model.serialize({ $$begin: "t1" }, '$$begin') + '\n' +
+                  model.serialize({ _id: "1", a: 2 }) + '\n' +
+                  model.serialize({ _id: "2", a: 1 }) + '\n' +
+                  model.serialize({ $$commit: "t1" }, '$$commit') + '\n' +
+                  model.serialize({ $$begin: "t2" }, '$$begin') + '\n' +
+                  model.serialize({ _id: "1", $$deleted: true }) + '\n' +
+                  model.serialize({ _id: "3", a: 1 }) + '\n' +
+                  '{"_id":"4","a'   // The append of the second transaction was interrupted
+      , treatedData = d.persistence.treatRawData(rawData)
+      ;
+
+    _.sortBy(treatedData.data, '_id').should.deep.equal([{ _id: "1", a: 2 }, { _id: "2", a: 1 }]);
+    treatedData.lastChangeToken.should.equal(3);
+  });
+
+  it('Lines of documents are never taken for transaction markers', function () {
+    var rawData = '{"_id":"1","a":1}\n' +
+                  '{"_id":"2","a":2,"$$begin":"x"}\n' +
+                  '{"_id":"3","a":3,"$$commit":"x"}\n' +
+                  '{"_id":"4","a":4}\n'
+      , treatedData = d.persistence.treatRawData(rawData)
+      ;
+
+    _.pluck(_.sortBy(treatedData.data, '_id'), '_id').should.deep.equal(["1", "2", "3", "4"]);
+  });
+
   it('Compact database on load', function (done) {
     d.insert({ a: 2 }, function () {
       d.insert({ a: 4 }, function () {
@@ -160,12 +261,13 @@ describe('Persistence', function () {
           d.loadDatabase(function (err) {
             assert.isNull(err);
 
-            // Now, the file has been compacted and is only 1 line long
+            // Now, the file has been compacted and is only 1 line long, plus the token of the last change
             var data = fs.readFileSync(d.filename, 'utf8').split('\n')
               , filledCount = 0;
 
             data.forEach(function (item) { if (item.length > 0) { filledCount += 1; } });
-            filledCount.should.equal(1);
+            filledCount.should.equal(2);
+            assert.deepEqual(model.deserialize(data[1]), { $$changeToken: 3 });
 
             done();
           });
@@ -481,12 +583,15 @@ describe('Persistence', function () {
                   , idx = bd(data[1])
                 ;
 
-                data.length.should.equal(3);
+                data.length.should.equal(4);
 
                 doc0 = model.deserialize(doc0);
                 Object.keys(doc0).length.should.equal(2);
                 doc0.hello.should.equal('earth');
 
+                // Two changes were made to one document, so the token of the last one is written
+                assert.deepEqual(model.deserialize(bd(data[2])), { '$$changeToken': 2 });
+
                 doc0._id.should.equal(_id);
 
                 idx = model.deserialize(idx);
@@ -0,0 +1,80 @@
+var should = require('chai').should()
+  , assert = require('chai').assert
+  , _ = require('underscore')
+  , schema = require('../lib/schema')
+  ;
+
+
+describe('Schema', function () {
+  var planetSchema = { type: 'object'
+                     , required: ['name', 'system']
+                     , properties: { _id: { type: 'string' }
+                                   , name: { type: 'string', minLength: 2, maxLength: 20, pattern: '^[A-Z]' }
+                                   , system: { enum: ['solar', 'futurama'] }
+                                   , mass: { type: 'number', minimum: 0, exclusiveMaximum: 2000 }
+                                   , moons: { type: 'integer', maximum: 100 }
+                                   , discovered: { type: ['date', 'null'] }
+                                   , satellites: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'object', required: ['name'] } }
+                                   , coordinates: { type: 'array', items: [{ type: 'number' }, { type: 'number' }] }
+                                   }
+                     , additionalProperties: false
+                     };
+
+  function paths (doc) {
+    return _.pluck(schema.validate(doc, planetSchema), 'path');
+  }
+
+  it('A valid document has no error', function () {
+    schema.validate({ _id: 'id1', name: 'Mars', system: 'solar', mass: 0.6, moons: 2, discovered: null
+                    , satellites: [{ name: 'Phobos' }, { name: 'Deimos' }], coordinates: [1.5, 2] }, planetSchema).should.deep.equal([]);
+    schema.validate({ name: 'Earth', system: 'solar', discovered: new Date() }, planetSchema).should.deep.equal([]);
+    schema.validate({ anything: [1, 'a'] }, {}).should.deep.equal([]);
+  });
+
+  it('Reports each failing path', function () {
+    paths({ system: 'solar' }).should.deep.equal(['name']);
+    paths({ name: 'mars', system: 'other' }).should.deep.equal(['name', 'system']);
+    paths({ name: 'M', system: 'solar', mass: -1, moons: 1.5 }).should.deep.equal(['name', 'mass', 'moons']);
+    paths({ name: 'Mars', system: 'solar', mass: 2000, moons: 101, discovered: '1659' }).should.deep.equal(['mass', 'moons', 'discovered']);
+    paths({ name: 'Mars', system: 'solar', satellites: [] }).should.deep.equal(['satellites']);
+    paths({ name: 'Mars', system: 'solar', satellites: [{ name: 'Phobos' }, {}, 'Deimos'] }).should.deep.equal(['satellites.1.name', 'satellites.2']);
+    paths({ name: 'Mars', system: 'solar', coordinates: [1, 'a', 'b'] }).should.deep.equal(['coordinates.1']);
+    paths({ name: 'Mars', system: 'solar', inhabited: false }).should.deep.equal(['inhabited']);
+    paths('Mars').should.deep.equal(['']);
+  });
+
+  it('additionalProperties can be a schema, and schemas can be booleans', function () {
+    var s = { properties: { a: true, b: false }, additionalProperties: { type: 'number' } };
+
+    schema.validate({ a: 'x', c: 1 }, s).should.deep.equal([]);
+    _.pluck(schema.validate({ a: 'x', b: 1, c: 'y' }, s), 'path').should.deep.equal(['b', 'c']);
+  });
+
+  it('The validation error lists the errors', function () {
+    var err = schema.validationError(schema.validate({ name: 'mars', system: 'solar', satellites: [{}] }, planetSchema));
+
+    err.errorType.should.equal('schemaValidationFailed');
+    err.validationErrors.length.should.equal(2);
+    err.message.should.contain('name must match the pattern ^[A-Z]');
+    err.message.should.contain('satellites.0.name is required');
+  });
+
+  it('Unknown types are an error in the schema', function () {
+    (function () { schema.validate({ a: 1 }, { properties: { a: { type: 'float' } } }); }).should.throw();
+  });
+
+  it('checkSchema rejects unknown types and invalid patterns, in subschemas too', function () {
+    schema.checkSchema(planetSchema);
+    schema.checkSchema({ type: ['string', 'null'], items: [true, { type: 'date' }], additionalProperties: false });
+
+    (function () { schema.checkSchema({ type: 'obejct' }); }).should.throw('Unknown type obejct in schema');
+    (function () { schema.checkSchema({ type: ['string', 'float'] }); }).should.throw('Unknown type float');
+    (function () { schema.checkSchema({ pattern: '[a-' }); }).should.throw('Invalid pattern [a-');
+    (function () { schema.checkSchema({ properties: { a: { properties: { b: { pattern: '(' } } } } }); }).should.throw('at a.b');
+    (function () { schema.checkSchema({ items: { type: 'float' } }); }).should.throw();
+    (function () { schema.checkSchema({ items: [{ type: 'string' }, { type: 'float' }] }); }).should.throw('at 1');
+    (function () { schema.checkSchema({ additionalProperties: { pattern: '(' } }); }).should.throw();
+    (function () { schema.checkSchema({ properties: { a: 'string' } }); }).should.throw('Invalid schema at a');
+  });
+
+});